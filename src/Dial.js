@@ -0,0 +1,299 @@
+//  ***********************************************
+//  ***********************************************
+//  Dial
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Interface for handling a continuous control: rotary encoder, dial, slider or potentiometer
+//  Sibling of Input.js, which handles binary buttons
+//
+//  Encoders call step() for each detent, with acceleration for fast spins
+//  Sliders and pots call set() with their raw reading, with smoothing, deadband and hysteresis
+//  Both update the same 0-1 value, so either can drive the same UI
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const dial = new Dial({
+//    name: "Volume",           // Human readable name
+//    dom: null,                // DOM element representing the dial, mouse wheel over it will step
+//    keys: {                   // Keyboard keys to step with
+//       increase: 'ArrowUp',
+//       decrease: 'ArrowDown'
+//    },
+//    step_size: 0.05,          // How far the value moves per step
+//    min: 0,                   // Range of raw readings passed to set(), e.g. 0-1023 for an Arduino analogRead()
+//    max: 1023,
+//    levels: 5,                // Split the value into discrete positions, fires 'level' events
+//    fire: (type, value) => console.log(type, value)  // Callback for 'step', 'change' and 'level' events
+//  });
+//
+//  Keys are ignored while typing in a text field, unless ignore_text_fields is false.
+//  Pass clock: Input.manual_clock() to test acceleration without waiting.
+//
+//  Public methods:
+//
+//    step(steps)     -> Call for each encoder detent, positive for clockwise, negative for anticlockwise
+//    set(raw)        -> Call with a new raw reading from a slider or pot
+//    set_value(v)    -> Jump straight to a 0-1 value, without smoothing or deadband
+//    get()           -> Returns current 0-1 value
+//    remove()        -> Remove event handlers for this object
+//
+//  Fire types:
+//
+//    'step'    -> value is the number of steps taken, after acceleration (negative for anticlockwise)
+//    'change'  -> value is the new 0-1 value
+//    'level'   -> value is the new level index, if levels is set
+//
+//  ***********************************************
+
+class Dial{
+
+	// Default options are below
+	_default_opts = {
+		fire: 				(type, value) => {},	// Handler for when the dial changes
+
+		keys: 				null,				// e.g. {increase: 'ArrowUp', decrease: 'ArrowDown'}
+		ignore_text_fields:	true,				// Ignore keys typed into inputs, textareas etc.
+		wheel_enabled:		true,				// Step with the mouse wheel over the DOM element
+		wheel_step:			50,				// Pixels of wheel scrolling per step
+
+		// Encoders
+		step_size:			0.05,				// Change in value per step
+		wrap:					false,			// Wrap around from 1 back to 0, for endless dials
+		acceleration: [						// Multiply steps when they arrive faster than the interval (ms)
+			{interval: 40, multiplier: 4},	// Or pass a function: (ms_since_last_step) => multiplier
+			{interval: 100, multiplier: 2}
+		],
+
+		// Sliders & pots
+		min:					0,					// Raw reading for a value of 0
+		max:					1,					// Raw reading for a value of 1
+		smoothing:			0,					// 0 for none, closer to 1 for heavier smoothing of noisy readings
+		deadband:			0.01,				// Ignore changes smaller than this
+
+		levels:				0,					// Number of discrete levels, 0 to disable
+		hysteresis:			0.02,				// How far past a level boundary the value must go to change level
+
+		value:				0,					// Starting value
+		clock:				null				// Source of time, e.g. Input.manual_clock() in tests, defaults to real time
+	};
+
+	_last_step = {
+		time: 0,
+		direction: 0
+	};
+
+	_smoothed = null;
+	_level = -1;
+	_wheel_delta = 0;
+
+	constructor(opts){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		this.value = this.opts.value;
+		this._level = this._calculate_level(this.value);
+		this._update_dom();
+
+		// Attach keyboard and wheel handling
+		this._attach_handlers();
+	}
+
+	// Returns the current value
+	get(){
+		return this.value;
+	}
+
+	// Call for each detent of the encoder
+	step(steps = 1){
+		if(steps == 0) return;
+
+		const now = this._now();
+		const direction = Math.sign(steps);
+
+		// Speed up if we are spinning quickly in the same direction
+		let multiplier = 1;
+		if(direction == this._last_step.direction){
+			multiplier = this._acceleration(now - this._last_step.time);
+		}
+		this._last_step.time = now;
+		this._last_step.direction = direction;
+
+		steps = steps * multiplier;
+		this.opts.fire('step', steps);
+
+		let value = this.value + (steps * this.opts.step_size);
+		if(this.opts.wrap){
+			value = ((value % 1) + 1) % 1;
+		}
+		this._update_value(value);
+	}
+
+	// Call with a new raw reading from a slider or pot
+	set(raw){
+		let value = (raw - this.opts.min) / (this.opts.max - this.opts.min);
+
+		// Smooth out noisy readings
+		if(this._smoothed === null){
+			this._smoothed = value;
+		}else{
+			this._smoothed += (value - this._smoothed) * (1 - this.opts.smoothing);
+		}
+		value = this._clamp(this._smoothed);
+
+		// Ignore tiny changes, but always allow the ends to be reached
+		if(
+			(Math.abs(value - this.value) < this.opts.deadband)
+			&& !(((value == 0) || (value == 1)) && (value != this.value))
+		){
+			return;
+		}
+		this._update_value(value);
+	}
+
+	// Jump to a new value without any processing
+	set_value(value){
+		this._smoothed = null;
+		this._update_value(value);
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Event handlers
+
+	remove(){
+		if(this.opts.dom){
+			this.opts.dom.removeEventListener('wheel', this._onWheel);
+		}
+		document.removeEventListener('keydown', this._onKeyDown);
+	}
+
+	_attach_handlers(){
+
+		this._onWheel = this._listener_wheel.bind(this);
+		this._onKeyDown = this._listener_keydown.bind(this);
+
+		// Not passive, so we can stop the page scrolling
+		if(this.opts.dom && this.opts.wheel_enabled){
+			this.opts.dom.addEventListener('wheel', this._onWheel, {passive: false});
+		}
+
+		if(this.opts.keys){
+			document.addEventListener('keydown', this._onKeyDown);
+		}
+	}
+
+	_listener_wheel(e){
+		e.preventDefault();
+
+		// Line based scrolling (most mouse wheels) steps once per line
+		// Pixel based scrolling (trackpads) builds up until it passes wheel_step
+		if(e.deltaMode == WheelEvent.DOM_DELTA_LINE){
+			this.step(-Math.sign(e.deltaY));
+			return;
+		}
+		this._wheel_delta += e.deltaY;
+		const steps = Math.trunc(this._wheel_delta / this.opts.wheel_step);
+		if(steps != 0){
+			this._wheel_delta -= steps * this.opts.wheel_step;
+			this.step(-steps);
+		}
+	}
+
+	_listener_keydown(e){
+		if(this._is_typing(e)){
+			return;
+		}
+		switch(e.key){
+			case this.opts.keys.increase:
+				e.preventDefault();
+				this.step(1);
+				break;
+			case this.opts.keys.decrease:
+				e.preventDefault();
+				this.step(-1);
+				break;
+		}
+	}
+
+	// Is the user typing into a text field?
+	_is_typing(e){
+		if(!this.opts.ignore_text_fields){
+			return false;
+		}
+		const target = e.target;
+		return !!target && (
+			target.isContentEditable
+			|| ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+		);
+	}
+
+	_now(){
+		return this.opts.clock ? this.opts.clock.now() : Date.now();
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Value handling
+
+	// Store new value and fire events for it
+	_update_value(value){
+		value = this._clamp(value);
+		if(value == this.value) return;
+
+		this.value = value;
+		this._update_dom();
+		this.opts.fire('change', value);
+
+		// Check if we've moved into a new level
+		if(this.opts.levels > 0){
+			const level = this._calculate_level(value);
+			if(level != this._level){
+				this._level = level;
+				this.opts.fire('level', level);
+			}
+		}
+	}
+
+	// Work out which level a value is in, sticking to the current one until we are clearly past the boundary
+	_calculate_level(value){
+		if(this.opts.levels <= 0) return -1;
+
+		const width = 1 / this.opts.levels;
+		const level = Math.min(this.opts.levels - 1, Math.floor(value / width));
+		if((this._level < 0) || (level == this._level)){
+			return level;
+		}
+		if(level > this._level){
+			return (value >= ((this._level + 1) * width) + this.opts.hysteresis) ? level : this._level;
+		}
+		return (value <= (this._level * width) - this.opts.hysteresis) ? level : this._level;
+	}
+
+	// Look up the step multiplier for the time since the last step
+	_acceleration(interval){
+		if(typeof this.opts.acceleration == 'function'){
+			return this.opts.acceleration(interval);
+		}
+		const tier = [...(this.opts.acceleration ?? [])]
+			.sort((a, b) => a.interval - b.interval)
+			.find(t => interval < t.interval);
+		return tier ? tier.multiplier : 1;
+	}
+
+	// Expose the value to CSS, e.g. for rotating a dial graphic
+	_update_dom(){
+		if(this.opts.dom){
+			this.opts.dom.style.setProperty('--dial-value', this.value);
+			this.opts.dom.dataset.value = this.value;
+		}
+	}
+
+	_clamp(value){
+		return Math.min(1, Math.max(0, value));
+	}
+}
@@ -7,7 +7,7 @@
 // 
 //  ***********************************************
 //  
-//  Interface for handling of a physical button via keyboard, click or otherwise
+//  Interface for handling of a physical button via keyboard, click, touch or otherwise
 //  Single, double & long-press functionality
 // 
 //  ***********************************************
@@ -16,7 +16,7 @@
 // 
 //  const input = new Input({
 //    name: "Button1",        // Human readable name
-//    key: "q",               // Keyboard key to check for all press types on
+//    key: "q",               // Keyboard key to check for all press types on, see key bindings below
 //    double_press_enabled: true, // Enable check for double press
 //    dom: null,              // DOM element (e.g. <a>) representing the button
 //    discrete_keys: {        // Individual trigger keys e.g. for hardware keyboard emulators
@@ -24,15 +24,99 @@
 //       double: 'r',
 //       long: 't'
 //    },
-//    fire: (press) => console.log(press)	// Callback for when button is pressed
+//    gamepad: {              // Gamepad button to bind to, via the Gamepad API
+//       index: 0,            // Which gamepad, or null for any connected gamepad
+//       button: 'a'          // Button index, or name from the standard mapping (see Input.gamepad_buttons)
+//    },
+//    feedback: null,         // InputFeedback object to play sounds/vibrate on each press
+//    fire: (press, meta) => console.log(press)	// Callback for when button is pressed
 //  });
 // 
+//  Key bindings:
+//
+//  key and the discrete_keys can each be a single binding or an array of them.
+//  A binding is an e.key value ("q", "?") or an e.code value ("KeyQ", "Space", "ArrowLeft"),
+//  with optional modifiers in front: "Shift+KeyS", "Ctrl+Alt+k". Modifiers must match exactly.
+//
+//  Keystrokes are ignored while typing in a text field, unless ignore_text_fields is false.
+//  Set key_scope to an element to only listen for keys while focus is inside it (it needs a tabindex).
+//
+//  Press patterns:
+//
+//  By default an input fires "single", "double" and "long" presses.
+//  Pass press_patterns to recognise your own, where taps is the number of quick presses in a row,
+//  and hold is how long (ms) the last press is held for:
+//
+//    press_patterns: [
+//      {type: 'single', taps: 1},
+//      {type: 'double', taps: 2},
+//      {type: 'triple', taps: 3},
+//      {type: 'long', hold: 1000},
+//      {type: 'reset', hold: 3000},            // Long press tiers fire in turn as each is reached
+//      {type: 'tap_hold', taps: 1, hold: 500}  // Tap once, then press and hold
+//    ]
+//
+//  Types can't share a name with an event (press, down, up, cancel, repeat, progress or pending).
+//  Taps longer than 1 are disabled by double_press_enabled = false, holds by long_press_enabled = false.
+//  Set long_press_on_release to only fire the highest hold tier reached, when the button is let go.
+//  Set press_types to a list of types to ignore the other patterns (InputLayers does this for each mode).
+//
+//  Each fire passes a meta object along with the type:
+//    {
+//      taps: 2,                 // Number of presses in the pattern
+//      duration: 85,            // How long the last press was held for (ms)
+//      pressed_at: 1690000000,  // Timestamp of the last press going down
+//      released_at: 1690000085, // Timestamp of the last press being released, or null if still held
+//      first_pressed_at: ...,   // Timestamp of the first press in the pattern
+//      time: 1690000190,        // Timestamp of the fire
+//      source: 'keyboard',      // What caused the press: keyboard, mouse, touch, pen, gamepad, discrete or external
+//      repeat: false            // True for fires from a held repeat key
+//    }
+// 
+//  Events:
+//
+//  Listen with input.on(event, handler), or as CustomEvents on the dom element, prefixed with "input:" (e.g. "input:down")
+//  Handlers get a single detail object:
+//
+//    down       -> {source, time}                   Button pressed down
+//    up         -> {source, time, duration}         Button released
+//    press      -> {type, ...meta}                  Any press pattern fired. The fire option is called just before, and off() leaves it alone
+//    single etc -> {type, ...meta}                  A press of that type fired
+//    progress   -> {value, total, type, time}       While held, value goes 0-1 towards the next hold tier (type),
+//                                                   total goes 0-1 towards the last one. Sent as 0 again on release
+//    pending    -> {taps, timeout, time}            A tap is waiting to see if more follow (e.g. first half of a double)
+//    repeat     -> {count, time}                    Repeat key tick
+//    cancel     -> {source, time}                   Press was abandoned (source is 'group' when used by an InputGroup combo)
+// 
+//  Timing:
+//
+//  Presses are worked out with timers rather than a frame loop, so long presses still fire in background tabs.
+//  All timing goes through the clock option. Pass Input.manual_clock() to step through time by hand,
+//  e.g. for testing press logic without a browser:
+//
+//    const clock = Input.manual_clock();
+//    const input = new Input({clock: clock, fire: (type) => console.log(type)});
+//    input.down();
+//    clock.advance(600);   // -> "long"
+//    input.up();
+// 
+//  Gamepad axes can be used as virtual buttons too, pressed when the axis passes the threshold:
+//    gamepad: {index: 0, axis: 1, threshold: -0.5}   // e.g. left stick pushed up
+//  Pass an array to bind to several buttons at once
+// 
 //  Public methods:
 //
-//    down()   -> Call when button is pressed down (e.g. from a Serial device sending commands)
+//    down(source)   -> Call when button is pressed down (e.g. from a Serial device sending commands)
 //    up()     -> Call when button gets released (e.g. from a Serial device sending commands)
-//    fire()   -> Manually fire the button handler
+//    fire(type)   -> Manually fire the button handler
+//    cancel(source) -> Abandon the current press, so no single/double/long fires from it
 //    remove_handlers() -> Remove event handlers for this object
+//    bind_gamepad(binding) -> Bind to another gamepad button or axis
+//    unbind_gamepad() -> Remove all gamepad bindings
+//    set_keys(keys) -> Change the key binding(s) for the input
+//    set_press_types(types) -> Only recognise these press types (e.g. ['single', 'long']), null for all
+//    on(event, handler)  -> Add an event handler, see above
+//    off(event, handler) -> Remove an event handler. Leave out the handler to remove all for that event, or both to remove all
 //    
 //  Methods to enable/disable features
 //    enable_long_press()
@@ -47,10 +131,65 @@
 
 class Input{
 
+	// Button indexes for gamepads using the standard mapping
+	// https://w3c.github.io/gamepad/#remapping
+	static gamepad_buttons = {
+		a: 0, b: 1, x: 2, y: 3,
+		lb: 4, rb: 5, lt: 6, rt: 7,
+		select: 8, start: 9,
+		ls: 10, rs: 11,
+		up: 12, down: 13, left: 14, right: 15,
+		home: 16
+	};
+
+	// Real time, used unless a clock is passed in the options
+	static default_clock = {
+		now: () => Date.now(),
+		set_timeout: (callback, ms) => setTimeout(callback, ms),
+		clear_timeout: (id) => clearTimeout(id)
+	};
+
+	// A clock which only moves when told to, for testing press logic without waiting
+	static manual_clock(start = 0){
+		let now = start;
+		let next_id = 1;
+		const timers = new Map();
+		return {
+			now: () => now,
+			set_timeout: (callback, ms) => {
+				timers.set(next_id, {at: now + ms, callback: callback});
+				return next_id++;
+			},
+			clear_timeout: (id) => timers.delete(id),
+			advance: (ms) => {
+				const end = now + ms;
+				while(true){
+					// Run timers in time order, including any they set themselves
+					let due = null;
+					for(const [id, timer] of timers){
+						if((timer.at <= end) && (!due || (timer.at < due[1].at))){
+							due = [id, timer];
+						}
+					}
+					if(!due) break;
+					timers.delete(due[0]);
+					now = due[1].at;
+					due[1].callback();
+				}
+				now = end;
+			}
+		};
+	}
+
+	// Events every input sends, which press patterns can't be named after
+	static lifecycle_events = ['press', 'down', 'up', 'cancel', 'repeat', 'progress', 'pending'];
+
+	static _gamepad_inputs = new Set();
+	static _gamepad_polling = false;
 
 	// Default options are below
 	_default_opts = {
-		fire: 						(type) => {},	// Handler for when the input is triggered
+		fire: 						(type, meta) => {},	// Handler for when the input is triggered
 		
 		has_double_press:			true,
 
@@ -59,7 +198,14 @@ class Input{
 
 		double_press_enabled:	true,
 		double_press_threshold: 100,			// gap between end of first click and start of next
+
+		press_patterns:			null,			// Custom press patterns, see above. Defaults to single/double/long
+		long_press_on_release:	false,		// Fire the highest hold tier on release, rather than as each is reached
+		press_types:				null,			// Only recognise these press types, e.g. ['single'], or null for all
 		
+		key_scope:					null,			// Element to listen for keys on, defaults to the whole document
+		ignore_text_fields:		true,			// Ignore keys typed into inputs, textareas etc.
+
 		pressed_class: 			'pressed',
 		discrete_keys_animate: 	true,			// flash a press effect on DOM button for discrete keys?
 
@@ -67,20 +213,52 @@ class Input{
 		repeat_fire_immediate:	true,			// Does the first fire of the repeat begin on keydown
 		repeat_override_long:	true,			// Does the repeat key prevent the long press firing 
 		repeat_init_delay:		600,			// Delay before repeat timer begins
-		repeat_interval:			130			// Interval delay on repeat key
+		repeat_interval:			130,			// Interval delay on repeat key
+
+		dom_events:					true,			// Dispatch events as CustomEvents on the dom element
+		dom_event_prefix:			'input:',
+
+		gamepad:						null,			// Gamepad button or axis binding(s)
+		gamepad_axis_release:	0.75,			// Fraction of the axis threshold to drop below before releasing
+
+		feedback:					null,			// InputFeedback to confirm presses with sound, vibration or device commands
+
+		clock:						Input.default_clock	// Source of time and timers, swap for Input.manual_clock() in tests
 	};
 
 	_click = {
-      last_press: 0,
-      long_press_fired: false,
-		half_double_press_fired: false,
-		half_double_press: 0,
-		pressed: false
+		state: 'idle',				// idle, pressed, or waiting for another tap
+		pressed_at: 0,
+		released_at: null,
+		first_pressed_at: 0,		// Start of the current run of taps
+		taps: 0,						// Taps so far in the current run
+		holds: [],					// Hold patterns which could fire for this press
+		holds_fired: 0,			// How many of those have been reached
+		flush_taps: false,		// Fire the earlier taps separately if a hold is reached
+		repeating: false,			// Is this press handled as a repeat key
+		repeats: 0,
+		source: 'external',
+		cancelled: false,
+		progress: false			// Have we sent progress events for this press
 	};
 
+	_listeners = {};
+
 	_removed = false;
 
-	_repeat_timer = null;
+	_group = null;			// InputGroup this input belongs to, if any
+
+	_pointer_id = null;		// Pointer currently pressing the DOM element
+	_key_held = null;			// Binding currently holding the input down
+
+	_gamepad_bindings = [];
+	_gamepad_pressed = false;
+
+	_timers = {
+		hold: null,
+		gap: null,
+		repeat: null
+	};
 
 	// Requires a reference to div to put the messages in
 	constructor(opts){
@@ -93,32 +271,58 @@ class Input{
 			this.opts.double_press_enabled = opts.has_double_press;
 		}
 
+		// Press types share event names with the lifecycle events, so they can't clash
+		if(this.opts.press_patterns){
+			this.opts.press_patterns = this.opts.press_patterns.filter(p => {
+				if(Input.lifecycle_events.includes(p.type)){
+					console.warn(`Press pattern can't be called "${p.type}", it is used for an event`);
+					return false;
+				}
+				return true;
+			});
+		}
+
+		// Sound, vibration etc. for each press, see InputFeedback.js
+		if(this.opts.feedback){
+			this.opts.feedback.attach(this);
+		}
+
 		// Attach click handling
 		this._attach_handlers();
 
-		// Start checking for button presses!
-		window.requestAnimationFrame(() => this._press_check_loop());
+		// Bind to gamepad buttons
+		for(const binding of [].concat(this.opts.gamepad ?? [])){
+			this.bind_gamepad(binding);
+		}
 	}
 
 	// Manually trigger the button push
-	fire(type){
-		this._handle_press(type);
+	fire(type, source = 'external'){
+		const now = this._now();
+		this._handle_press(type, {
+			taps: 0,
+			duration: 0,
+			pressed_at: null,
+			released_at: null,
+			first_pressed_at: null,
+			time: now,
+			source: source,
+			repeat: false
+		});
 	}
 
 	// Call when there's a push/release down on the button
-	down(){
+	down(source = 'external'){
 		if(this.opts.dom){
 			this.opts.dom.classList.add(this.opts.pressed_class);
 		}
-		this._press();
-		if(this.opts.repeat_enabled){
+		this._press(source);
+		if(this._click.repeating && !this._click.cancelled){
 			if(this.opts.repeat_fire_immediate){
 				// Fire straight away, which normally makes sense for repeat firing
-				this._handle_press('single');
+				this._handle_repeat_fire();
 			}
-			this._repeat_timer = setTimeout(() => {
-				this._handle_repeat();
-			}, this.opts.repeat_init_delay)
+			this._start_timer('repeat', this.opts.repeat_init_delay, () => this._handle_repeat());
 		}
 	}
 	up(){
@@ -126,7 +330,39 @@ class Input{
 			this.opts.dom.classList.remove(this.opts.pressed_class);
 		}
 		this._release();
-		clearTimeout(this._repeat_timer);
+	}
+
+	// Abandon the current press, so nothing more fires from it (e.g. when it becomes part of a combo)
+	cancel(source = 'external'){
+		const click = this._click;
+		click.cancelled = (click.state == 'pressed');
+		click.taps = 0;
+		if(click.state == 'waiting'){
+			click.state = 'idle';
+		}
+		this._stop_timer('hold');
+		this._stop_timer('gap');
+		this._stop_timer('repeat');
+		this._emit('cancel', {source: source, time: this._now()});
+	}
+
+	// Add/remove event handlers
+	on(event, handler){
+		if(!this._listeners[event]){
+			this._listeners[event] = [];
+		}
+		this._listeners[event].push(handler);
+		return this;
+	}
+	off(event, handler){
+		if(event === undefined){
+			this._listeners = {};
+		}else if(handler === undefined){
+			delete this._listeners[event];
+		}else if(this._listeners[event]){
+			this._listeners[event] = this._listeners[event].filter(h => h !== handler);
+		}
+		return this;
 	}
 
 	// Enable/disable long press
@@ -143,20 +379,101 @@ class Input{
 		this.opts.repeat_enabled = is_repeat_press;
 	}
 
+	// Only recognise some press types, so the others don't slow it down
+	// e.g. with just ['single'], a single fires straight away rather than waiting to see if it's a double
+	set_press_types(types = null){
+		this.opts.press_types = types;
+	}
+
+	// Change the key bindings
+	set_keys(keys){
+		if(this._key_held){
+			this.up();
+			this._key_held = null;
+		}
+		this.opts.key = keys;
+	}
+
+	// Does a keyboard event match a binding such as "Shift+KeyS"?
+	// Leave out the modifier check for keyup, as the modifier may have been let go first
+	static match_key(binding, e, check_modifiers = true){
+		if(!binding || !e.key){
+			return false;
+		}
+		const parts = binding.split(/\+(?!$)/);
+		const key = parts.pop();
+		const mods = parts.map(m => m.toLowerCase());
+
+		const key_matches = (e.code == key) || (e.key.toLowerCase() == key.toLowerCase()) || ((key == 'Space') && (e.key == ' '));
+		if(!key_matches || !check_modifiers){
+			return key_matches;
+		}
+
+		// Symbols like "?" need Shift to type them, so Shift isn't checked for those
+		const is_symbol = (key.length == 1) && (key.toLowerCase() == key.toUpperCase()) && (key != ' ');
+		const modifiers = {
+			shiftKey: ['shift'],
+			ctrlKey: ['ctrl', 'control'],
+			altKey: ['alt', 'option'],
+			metaKey: ['meta', 'cmd', 'command']
+		};
+		for(const prop in modifiers){
+			if((prop == 'shiftKey') && is_symbol) continue;
+			if(modifiers[prop].includes(e.key.toLowerCase())) continue;	// Binding is the modifier key itself
+			if(e[prop] != modifiers[prop].some(m => mods.includes(m))){
+				return false;
+			}
+		}
+		return true;
+	}
+
+	// Bind/unbind gamepad buttons & axes
+	bind_gamepad(binding){
+		// The threshold's sign gives the axis direction, so it can't be 0
+		if((binding.axis !== undefined) && (binding.threshold === 0)){
+			console.warn("Gamepad axis threshold can't be 0, use e.g. 0.5 or -0.5");
+			return;
+		}
+		this._gamepad_bindings.push({index: null, ...binding, active: false});
+
+		Input._gamepad_inputs.add(this);
+		if(!Input._gamepad_polling){
+			Input._gamepad_polling = true;
+			window.requestAnimationFrame(() => Input._gamepad_poll());
+		}
+	}
+	unbind_gamepad(){
+		this._gamepad_bindings = [];
+		Input._gamepad_inputs.delete(this);
+		if(this._gamepad_pressed){
+			this._gamepad_pressed = false;
+			this.up();
+		}
+	}
+
 	// /////////////////////////////////////////////////////////////////
 	// Event handlers
 
 	remove(){
 		this._removed = true;
 
+		for(const name in this._timers){
+			this._stop_timer(name);
+		}
+		this.unbind_gamepad();
+
 		if(this.opts.dom){
-			this.opts.dom.removeEventListener("mousedown", this._onMouseDown);
-			this.opts.dom.removeEventListener("mouseout", this._onMouseOut)
-			this.opts.dom.removeEventListener("mouseup", this._onMouseUp);
+			this.opts.dom.removeEventListener("pointerdown", this._onPointerDown);
+			this.opts.dom.removeEventListener("pointerup", this._onPointerUp);
+			this.opts.dom.removeEventListener("pointercancel", this._onPointerCancel);
+			this.opts.dom.removeEventListener("lostpointercapture", this._onPointerCancel);
+			this.opts.dom.removeEventListener("click", this._onPreventDefault);
+			this.opts.dom.removeEventListener("contextmenu", this._onPreventDefault);
 		}
-		document.removeEventListener('keydown', this._onKeyDown);
-		document.removeEventListener('keyup', this._onKeyUp);
-		document.removeEventListener('keydown', this._onKeyDownDiscrete);
+		const key_scope = this.opts.key_scope ?? document;
+		key_scope.removeEventListener('keydown', this._onKeyDown);
+		key_scope.removeEventListener('keyup', this._onKeyUp);
+		key_scope.removeEventListener('keydown', this._onKeyDownDiscrete);
 	}
 
 	_attach_handlers(){
@@ -164,177 +481,499 @@ class Input{
 		// Save references for functions
 		// Advice from here: https://riptutorial.com/dom/example/1034/removing-event-listeners
 
-		this._onMouseDown = this._listener_mousedown.bind(this);
-		this._onMouseOut = this._listener_mouseout.bind(this);
-		this._onMouseUp = this._listener_mouseup.bind(this);
+		this._onPointerDown = this._listener_pointerdown.bind(this);
+		this._onPointerUp = this._listener_pointerup.bind(this);
+		this._onPointerCancel = this._listener_pointercancel.bind(this);
+		this._onPreventDefault = (e) => e.preventDefault();
 		this._onKeyDown = this._listener_keydown.bind(this);
 		this._onKeyUp = this._listener_keyup.bind(this);
 		this._onKeyDownDiscrete = this._listener_keydown_discrete.bind(this);
 
 		// Attach handlers to object on screen
+		// Pointer events cover mouse, touch and pen in one go
 		if(this.opts.dom){
-			this.opts.dom.addEventListener("mousedown",this._onMouseDown);
-			this.opts.dom.addEventListener("mouseout",this._onMouseOut)
-			this.opts.dom.addEventListener("mouseup",this._onMouseUp);
+			this.opts.dom.addEventListener("pointerdown",this._onPointerDown);
+			this.opts.dom.addEventListener("pointerup",this._onPointerUp);
+			this.opts.dom.addEventListener("pointercancel",this._onPointerCancel);
+			this.opts.dom.addEventListener("lostpointercapture",this._onPointerCancel);
+
+			// Stop ghost clicks following on from touches (e.g. following an <a> link), and the long-touch menu
+			this.opts.dom.addEventListener("click",this._onPreventDefault);
+			this.opts.dom.addEventListener("contextmenu",this._onPreventDefault);
+
+			// Stop touches scrolling/zooming the page, or selecting text/showing the callout on iOS
+			this.opts.dom.style.touchAction = 'none';
+			this.opts.dom.style.userSelect = 'none';
+			this.opts.dom.style.webkitUserSelect = 'none';
+			this.opts.dom.style.webkitTouchCallout = 'none';
 		}
 
 		// Attach handlers to main key
-		if(this.opts.key){
-			document.addEventListener('keydown', this._onKeyDown);
-			document.addEventListener('keyup', this._onKeyUp);
-		}
+		// Always listen, so keys can be bound later with set_keys()
+		const key_scope = this.opts.key_scope ?? document;
+		key_scope.addEventListener('keydown', this._onKeyDown);
+		key_scope.addEventListener('keyup', this._onKeyUp);
 
 		// Setup detection for keyboard inputs for hardware  prototyping
-		if(this.opts.discrete_keys){
-			document.addEventListener('keydown', this._onKeyDownDiscrete);
-		}
+		key_scope.addEventListener('keydown', this._onKeyDownDiscrete);
 	}
 
-	_listener_mousedown(e){
-		this.down();
+	_listener_pointerdown(e){
+		// Only track one pointer per input, other fingers on the same button are ignored
+		if((e.button != 0) || (this._pointer_id !== null)){
+			return;
+		}
+		e.preventDefault();
+
+		// Capture the pointer, so we still get the release if the finger slides off the button
+		this._pointer_id = e.pointerId;
+		try{
+			this.opts.dom.setPointerCapture(e.pointerId);
+		}catch{}
+
+		this.down(e.pointerType);
 	}
-	_listener_mouseout(e){
-		this.opts.dom.classList.remove(this.opts.pressed_class);
-		this._release(false);
+	_listener_pointerup(e){
+		if(e.pointerId !== this._pointer_id){
+			return;
+		}
+		this._pointer_id = null;
+		this.up();
 		this.opts.dom.blur();
 	}
-	_listener_mouseup(e){
+	_listener_pointercancel(e){
+		// Browser took the pointer away (e.g. system gesture), so drop the press without firing
+		if(e.pointerId !== this._pointer_id){
+			return;
+		}
+		this._pointer_id = null;
+		this.cancel(e.pointerType);
 		this.up();
 		this.opts.dom.blur();
 	}
 	_listener_keydown(e){
+		if(this._is_typing(e)){
+			return;
+		}
 		// Avoid repeat firing by checking if already pressed
-		if( (e.key == this.opts.key) && (!this._click.pressed) ){
-			this.down();
+		const binding = [].concat(this.opts.key ?? []).find(b => Input.match_key(b, e));
+		if(binding && (this._click.state != 'pressed')){
+			this._key_held = binding;
+			this.down('keyboard');
 		}
 	}
 	_listener_keyup(e){
-		if(e.key == this.opts.key){
+		if(this._key_held && Input.match_key(this._key_held, e, false)){
+			this._key_held = null;
 			this.up();
 		}
 	}
 	_listener_keydown_discrete(e){
 
-		const key = e.key.toLowerCase();
 		const keys = this.opts.discrete_keys;
+		if(!keys || this._is_typing(e)){
+			return;
+		}
 
-		switch(key){
-			case keys.single:
-				this._handle_press("single");
-				if(this.opts.dom && this.opts.discrete_keys_animate){
-					this.opts.dom.classList.add(this.opts.pressed_class);
-					setTimeout(() => {this.opts.dom.classList.remove(this.opts.pressed_class);}, 100);
-				}
+		// Any press type can have a discrete key, not just single/double/long
+		const type = Object.keys(keys).find(t => [].concat(keys[t]).some(b => Input.match_key(b, e)));
+		if(!type){
+			return;
+		}
+		this.fire(type, 'discrete');
+
+		if(!this.opts.dom || !this.opts.discrete_keys_animate){
+			return;
+		}
+		switch(type){
+			case "double":
+				this.opts.dom.classList.add(this.opts.pressed_class);
+				setTimeout(() => {this.opts.dom.classList.remove(this.opts.pressed_class);}, 100);
+				setTimeout(() => {this.opts.dom.classList.add(this.opts.pressed_class);}, 170);
+				setTimeout(() => {this.opts.dom.classList.remove(this.opts.pressed_class);}, 270);
 				break;
 			
-			case keys.double:
-				this._handle_press("double");
-				if(this.opts.dom && this.opts.discrete_keys_animate){
-					this.opts.dom.classList.add(this.opts.pressed_class);
-					setTimeout(() => {this.opts.dom.classList.remove(this.opts.pressed_class);}, 100);
-					setTimeout(() => {this.opts.dom.classList.add(this.opts.pressed_class);}, 170);
-					setTimeout(() => {this.opts.dom.classList.remove(this.opts.pressed_class);}, 270);
-				}
+			case "long":
+				this.opts.dom.classList.add(this.opts.pressed_class);
+				setTimeout(() => {this.opts.dom.classList.remove(this.opts.pressed_class);}, 300);
 				break;
-			
-			case keys.long:
-				this._handle_press("long");
-				if(this.opts.dom && this.opts.discrete_keys_animate){
-					this.opts.dom.classList.add(this.opts.pressed_class);
-					setTimeout(() => {this.opts.dom.classList.remove(this.opts.pressed_class);}, 300);
-				}
+
+			default:
+				this.opts.dom.classList.add(this.opts.pressed_class);
+				setTimeout(() => {this.opts.dom.classList.remove(this.opts.pressed_class);}, 100);
 				break;
 		}
 	}
 
+	// Is the user typing into a text field?
+	_is_typing(e){
+		if(!this.opts.ignore_text_fields){
+			return false;
+		}
+		const target = e.target;
+		return !!target && (
+			target.isContentEditable
+			|| ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+		);
+	}
+
 	// Handle all button activations
-	_handle_press(type){
-		this.opts.fire(type);
+	_handle_press(type, meta){
+		// Give the group a chance to hold back presses which form part of a combo
+		if(this._group && this._group._intercept(this, type, meta)){
+			return;
+		}
+		this._fire(type, meta);
+	}
+
+	// Pass a press on to the handlers
+	_fire(type, meta){
+		const detail = {type: type, ...meta};
+
+		// The fire option is called first, and isn't a listener, so off() can't remove it
+		this.opts.fire(type, detail);
+		this._emit('press', detail);
+		this._emit(type, detail);
+	}
+
+	// Send an event to handlers, and as a CustomEvent on the DOM element
+	_emit(event, detail){
+		for(const handler of (this._listeners[event] ?? []).slice()){
+			handler(detail);
+		}
+		if(this.opts.dom && this.opts.dom_events){
+			this.opts.dom.dispatchEvent(new CustomEvent(`${this.opts.dom_event_prefix}${event}`, {
+				detail: detail,
+				bubbles: true
+			}));
+		}
 	}
 
 	// Responds to repeat press firing
 	_handle_repeat(){
-		this._handle_press('single');
-		this._repeat_timer = setTimeout(() => this._handle_repeat(), this.opts.repeat_interval);
+		this._handle_repeat_fire();
+		this._start_timer('repeat', this.opts.repeat_interval, () => this._handle_repeat());
+	}
+
+	// Repeat keys fire as single presses, flagged as repeats in the meta
+	_handle_repeat_fire(){
+		this._click.repeats++;
+		this._emit('repeat', {count: this._click.repeats, time: this._now()});
+		this._handle_press('single', this._meta({taps: 1, repeat: true}));
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Gamepad polling
+	// The Gamepad API has no events for buttons, so we check them on each frame
+	// One loop is shared by all inputs with gamepad bindings, and stops when there are none
+
+	static _gamepad_poll(){
+		if(Input._gamepad_inputs.size == 0){
+			Input._gamepad_polling = false;
+			return;
+		}
+		for(const input of Input._gamepad_inputs){
+			input._gamepad_check();
+		}
+		window.requestAnimationFrame(() => Input._gamepad_poll());
+	}
+
+	_gamepad_check(){
+		const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+
+		let pressed = false;
+		for(const binding of this._gamepad_bindings){
+			const binding_pads = (binding.index === null) ? Array.from(pads) : [pads[binding.index]];
+			binding.active = binding_pads.some(pad => pad && pad.connected && this._gamepad_binding_pressed(binding, pad));
+			pressed = pressed || binding.active;
+		}
+
+		// Drive the normal down/up path, so all press types work as usual
+		if(pressed && !this._gamepad_pressed){
+			this._gamepad_pressed = true;
+			this.down('gamepad');
+		}else if(!pressed && this._gamepad_pressed){
+			this._gamepad_pressed = false;
+			this.up();
+		}
+	}
+
+	// Check if a single gamepad binding is currently pressed
+	_gamepad_binding_pressed(binding, pad){
+		if(binding.axis !== undefined){
+			const threshold = binding.threshold ?? 0.5;
+			const value = (pad.axes[binding.axis] ?? 0) * Math.sign(threshold);
+
+			// Once pressed, don't release until well back from the threshold, to avoid jitter
+			return value >= Math.abs(threshold) * (binding.active ? this.opts.gamepad_axis_release : 1);
+		}
+
+		const index = Input.gamepad_buttons[binding.button] ?? binding.button;
+		const button = pad.buttons[index];
+		return button ? button.pressed : false;
 	}
 
 	// /////////////////////////////////////////////////////////////////
-	// Loop logic for single/double/long press is below
+	// Press state machine
+	//
+	//  idle ──down──> pressed ──up──> waiting ──gap timer──> idle (fires the taps)
+	//                  │   ^             │
+	//                  │   └────down─────┘  another tap in the run
+	//                  └──up──> idle        held, repeating, or no longer pattern to wait for
+	//
+	//  While pressed, a timer runs for each hold tier in turn.
+	//  All timing goes through opts.clock, so nothing needs a frame loop.
+
+	_now(){
+		return this.opts.clock.now();
+	}
+
+	_start_timer(name, ms, callback){
+		this._stop_timer(name);
+		this._timers[name] = this.opts.clock.set_timeout(() => {
+			this._timers[name] = null;
+			callback();
+		}, Math.max(0, ms));
+	}
+
+	_stop_timer(name){
+		if(this._timers[name] !== null){
+			this.opts.clock.clear_timeout(this._timers[name]);
+			this._timers[name] = null;
+		}
+	}
+
+	// Returns the active press patterns
+	// Defaults are built fresh each time, so threshold changes take effect straight away
+	_patterns(){
+		const patterns = this.opts.press_patterns ?? [
+			{type: 'single', taps: 1},
+			{type: 'double', taps: 2},
+			{type: 'long', hold: this.opts.long_press_threshold}
+		];
+		return patterns.filter(p => {
+			if(this.opts.press_types && !this.opts.press_types.includes(p.type)){
+				return false;
+			}
+			if(p.hold !== undefined){
+				return this.opts.long_press_enabled;
+			}
+			return (p.taps <= 1) || this.opts.double_press_enabled;
+		});
+	}
+
+	// Hold patterns for a press following a number of taps, shortest first
+	_hold_patterns(taps){
+		return this._patterns()
+			.filter(p => (p.hold !== undefined) && ((p.taps ?? 0) == taps))
+			.sort((a, b) => a.hold - b.hold);
+	}
+
+	// Could another press still turn this run of taps into a different pattern?
+	_waiting_for_more(taps){
+		return this._patterns().some(p => {
+			if(p.hold !== undefined){
+				return (p.taps ?? 0) >= taps;
+			}
+			return p.taps > taps;
+		});
+	}
+
+	// Builds the meta object passed along with each fire
+	_meta(extra = {}){
+		const now = this._now();
+		const click = this._click;
+		const pressed = (click.state == 'pressed');
+		return {
+			taps: click.taps,
+			duration: (pressed ? now : click.released_at) - click.pressed_at,
+			pressed_at: click.pressed_at,
+			released_at: pressed ? null : click.released_at,
+			first_pressed_at: click.first_pressed_at,
+			time: now,
+			source: click.source,
+			repeat: false,
+			...extra
+		};
+	}
 
 	// Call when the press begins
-	_press(){
-		this._click.last_press = Date.now();
-		this._click.pressed = true;
-	}
-	
-	
-	// Called as fast as possible to check for types of press events
-	_press_check_loop(){
-		// Check if we should give up waiting for a second press of the double press
-		// Only do this if we are not currently pressed
-		if(!this._click.pressed && this.opts.double_press_enabled){
-			if(
-				this._click.half_double_press_fired
-				&& (Date.now() > (this._click.half_double_press + this.opts.double_press_threshold))
-			){
-				// Given up, lets just register a normal press!
-				this._handle_press("single");
-				this._click.half_double_press_fired = false;
+	_press(source){
+		const click = this._click;
+		const now = this._now();
+
+		// Pressed again within the gap, so this carries on the run of taps
+		this._stop_timer('gap');
+		if(click.state == 'idle'){
+			click.taps = 0;
+			click.first_pressed_at = now;
+		}
+		click.state = 'pressed';
+		click.pressed_at = now;
+		click.cancelled = false;
+		click.source = source;
+		click.holds_fired = 0;
+		click.repeats = 0;
+		click.repeating = !!this.opts.repeat_enabled;
+		click.progress = false;
+
+		// Work out which hold tiers this press could reach
+		// If none follow on from the earlier taps, fall back to plain holds, and fire the taps on their own first
+		click.holds = [];
+		click.flush_taps = false;
+		if(!(click.repeating && this.opts.repeat_override_long)){
+			click.holds = this._hold_patterns(click.taps);
+			if((click.holds.length == 0) && (click.taps > 0)){
+				click.holds = this._hold_patterns(0);
+				click.flush_taps = true;
 			}
 		}
 
-		// Check for long pressing if:
-		//  + still held down
-		//  + threshold exceeded
-		//  + have not fired the press event yet
-		if(
-			this._click.pressed
-			&& (Date.now() > this._click.last_press + this.opts.long_press_threshold)
-			&& !this._click.long_press_fired && this.opts.long_press_enabled
-		){
-			// Long press threshold exceeded
-			if(!(this.opts.repeat_enabled && this.opts.repeat_override_long)){
-				// Fire except when repeat is enabled and we are overriding the long press with it.
-				this._handle_press("long");
-			}
-			this._click.long_press_fired = true;
+		if(this._group){
+			this._group._input_down(this);
 		}
 
-		// Go again
-		if(!this._removed){
-			window.requestAnimationFrame(() => this._press_check_loop());
+		this._emit('down', {source: source, time: now});
+
+		this._schedule_hold();
+		this._start_progress();
+	}
+
+	// Set a timer for the next hold tier
+	_schedule_hold(){
+		const click = this._click;
+		if(click.cancelled || (click.holds_fired >= click.holds.length)){
+			return;
 		}
+		const tier = click.holds[click.holds_fired];
+		this._start_timer('hold', click.pressed_at + tier.hold - this._now(), () => this._hold_reached());
+	}
+
+	// Held long enough to reach the next hold tier
+	_hold_reached(){
+		const click = this._click;
+		const pattern = click.holds[click.holds_fired];
+
+		// First tier reached, so this press isn't a tap
+		if((click.holds_fired == 0) && click.flush_taps){
+			this._end_taps();
+		}
+		this._emit_progress();
+		click.holds_fired++;
+
+		if(!this.opts.long_press_on_release){
+			this._handle_press(pattern.type, this._meta({taps: pattern.taps ?? 0}));
+		}
+		this._schedule_hold();
+	}
+
+	// Fire the tap pattern for the current run of taps, and start again
+	_end_taps(){
+		const click = this._click;
+		const taps = click.taps;
+		if(click.state == 'waiting'){
+			click.state = 'idle';
+		}
+		if(taps == 0){
+			return;
+		}
+		const meta = this._meta();
+		click.taps = 0;
+
+		const pattern = this._patterns().find(p => (p.hold === undefined) && (p.taps == taps));
+		if(pattern){
+			this._handle_press(pattern.type, meta);
+		}
+	}
+
+	// Send progress towards the next hold tier on each frame, while anyone is listening
+	// Only for display, the hold timers do the actual work
+	_start_progress(){
+		const has_listeners = (this._listeners['progress'] ?? []).length > 0 || (this.opts.dom && this.opts.dom_events);
+		if(!has_listeners || (typeof window == 'undefined') || !window.requestAnimationFrame){
+			return;
+		}
+		const frame = () => {
+			const click = this._click;
+			if(this._removed || (click.state != 'pressed') || click.cancelled || (click.holds_fired >= click.holds.length)){
+				return;
+			}
+			this._emit_progress();
+			window.requestAnimationFrame(frame);
+		};
+		window.requestAnimationFrame(frame);
+	}
+
+	_emit_progress(){
+		const click = this._click;
+		const now = this._now();
+		const duration = now - click.pressed_at;
+		const upcoming = click.holds[click.holds_fired];
+		click.progress = true;
+		this._emit('progress', {
+			value: Math.min(1, duration / upcoming.hold),
+			total: Math.min(1, duration / click.holds[click.holds.length-1].hold),
+			type: upcoming.type,
+			time: now
+		});
 	}
 
 	// Call when the press is released on the input
-	_release(do_checks = true){
-		this._click.pressed = false;
+	_release(){
+		const click = this._click;
+		if(click.state != 'pressed'){
+			return;
+		}
 
-		if(do_checks){
-			if(!this.opts.double_press_enabled){
-			
-				if(!this._click.long_press_fired && !(this.opts.repeat_enabled && this.opts.repeat_fire_immediate)){
-					// Just fire a single press!
-					this._handle_press("single");
+		this._stop_timer('hold');
+		this._stop_timer('repeat');
+
+		if(this._group){
+			this._group._input_up(this);
+		}
+		click.state = 'idle';
+		click.released_at = this._now();
+
+		this._emit('up', {
+			source: click.source,
+			time: click.released_at,
+			duration: click.released_at - click.pressed_at
+		});
+
+		// Reset any progress display
+		if(click.progress){
+			click.progress = false;
+			this._emit('progress', {value: 0, total: 0, type: null, time: click.released_at});
+		}
+
+		if(!click.cancelled){
+			if(click.repeating){
+				// Repeat keys fire on their own timer, unless we released before the first one
+				if(!this.opts.repeat_fire_immediate && (click.repeats == 0) && (click.holds_fired == 0)){
+					this._handle_press('single', this._meta({taps: 1}));
 				}
-	
-			}else{	
-				// If we haven't fired the longpress already
-				if(!this._click.long_press_enabled || (this._click.long_press_enabled && !this._click.long_press_fired)){
-					if(this._click.half_double_press_fired){
-						// Fire a double click
-						this._handle_press("double");
-						this._click.half_double_press_fired = false;
-					}else{
-						// Save the first half of the doublepress
-						this._click.half_double_press = Date.now();
-						this._click.half_double_press_fired = true;
-					}
+				click.taps = 0;
+
+			}else if(click.holds_fired > 0){
+				// Held press, so it doesn't count as a tap
+				if(this.opts.long_press_on_release){
+					const pattern = click.holds[click.holds_fired-1];
+					this._handle_press(pattern.type, this._meta({taps: pattern.taps ?? 0}));
+				}
+				click.taps = 0;
+
+			}else{
+				// Count the tap, and fire straight away if no other pattern could match
+				click.taps++;
+				if(this._waiting_for_more(click.taps)){
+					click.state = 'waiting';
+					this._start_timer('gap', this.opts.double_press_threshold, () => this._end_taps());
+					this._emit('pending', {taps: click.taps, timeout: this.opts.double_press_threshold, time: click.released_at});
+				}else{
+					this._end_taps();
 				}
 			}
-			this._click.long_press_fired = false;
 		}
-
-		
+		click.cancelled = false;
 	}
-}
\ No newline at end of file
+}
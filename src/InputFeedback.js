@@ -0,0 +1,188 @@
+//  ***********************************************
+//  ***********************************************
+//  InputFeedback
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Confirms Input presses with synthesised sounds, vibration and commands sent out to hardware
+//  (e.g. flashing an LED on the device over Serial).
+//  Each press type gets its own feedback, and repeat key ticks get their own too.
+//  Requires Input.js
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const feedback = new InputFeedback({
+//    sounds: {                                   // Tones to play per press type, a tone or an array of them
+//      single: {frequency: 880, duration: 40},
+//      double: [{frequency: 880, duration: 30}, {frequency: 1320, duration: 30, delay: 60}],
+//      long:   {frequency: 440, duration: 150, waveform: 'triangle'},
+//      repeat: {frequency: 1500, duration: 10, volume: 0.1}
+//    },
+//    vibrate: {single: 15, double: [15, 40, 15]},   // navigator.vibrate() patterns per press type
+//    commands: {single: 'LED{name}:FLASH'},         // Commands per press type, {name} and {type} are filled in
+//    send: (command) => serial.send(command)        // Where to send commands
+//  });
+//
+//  const btn = new Input({name: "1", key: "q", feedback: feedback});
+//  feedback.attach(other_btn, {sounds: {single: {frequency: 660, duration: 40}}});  // With overrides for this input
+//
+//  Tones take frequency (Hz), duration (ms), and optionally delay (ms from the press), volume (0-1) and waveform.
+//  Commands can also be a function: (name, type, meta) => string
+//  Set any press type to null to turn off that feedback for it.
+//
+//  Mute everything, e.g. in a quiet test room:
+//    InputFeedback.muted = true;
+//
+//  Public methods:
+//
+//    attach(input, overrides) -> Give feedback for an input's presses, overrides replace press types for this input only
+//    detach(input)            -> Stop giving feedback for an input
+//    play(type, input, meta)  -> Give the feedback for a press type by hand
+//    mute() / unmute()        -> Mute just this feedback object
+//
+//  ***********************************************
+
+class InputFeedback{
+
+	// Mutes every InputFeedback on the page
+	static muted = false;
+
+	// Default options are below
+	_default_opts = {
+		sounds: {
+			single: {frequency: 880, duration: 40},
+			double: [{frequency: 880, duration: 30}, {frequency: 1320, duration: 30, delay: 60}],
+			long: {frequency: 440, duration: 150},
+			repeat: {frequency: 1500, duration: 10, volume: 0.1}
+		},
+		vibrate: {
+			single: 15,
+			double: [15, 40, 15],
+			long: 60,
+			repeat: 5
+		},
+		commands: {},
+		send: null,						// (command) => {}, e.g. serial.send
+
+		sound_enabled: true,
+		vibrate_enabled: true,
+		commands_enabled: true,
+
+		volume: 0.2,					// Default tone volume, 0-1
+		waveform: 'sine',				// Default oscillator type: sine, square, sawtooth or triangle
+		muted: false
+	};
+
+	_attached = new Map();
+	_audio = null;
+
+	constructor(opts = {}){
+
+		// Merge opts with defaults, keeping the default press types unless replaced
+		this.opts = {...this._default_opts, ...opts};
+		for(const channel of ['sounds', 'vibrate', 'commands']){
+			this.opts[channel] = {...this._default_opts[channel], ...opts[channel]};
+		}
+	}
+
+	// Give feedback for an input's presses
+	attach(input, overrides = {}){
+		this.detach(input);
+
+		const config = {};
+		for(const channel of ['sounds', 'vibrate', 'commands']){
+			config[channel] = {...this.opts[channel], ...overrides[channel]};
+		}
+		const handler = (e) => this.play(e.type, input, e, config);
+		this._attached.set(input, handler);
+		input.on('press', handler);
+	}
+
+	// Stop giving feedback for an input
+	detach(input){
+		const handler = this._attached.get(input);
+		if(handler){
+			input.off('press', handler);
+			this._attached.delete(input);
+		}
+	}
+
+	// Give the feedback for a press type
+	play(type, input = null, meta = {}, config = this.opts){
+		if(InputFeedback.muted || this.opts.muted){
+			return;
+		}
+
+		// Repeat key ticks have feedback of their own
+		const key = meta.repeat ? 'repeat' : type;
+		const name = input ? input.opts.name : '';
+
+		if(this.opts.sound_enabled && config.sounds[key]){
+			this._play_tones([].concat(config.sounds[key]));
+		}
+		if(this.opts.vibrate_enabled && (config.vibrate[key] !== undefined) && (config.vibrate[key] !== null) && navigator.vibrate){
+			navigator.vibrate(config.vibrate[key]);
+		}
+		if(this.opts.commands_enabled && config.commands[key] && this.opts.send){
+			const command = config.commands[key];
+			this.opts.send((typeof command == 'function')
+				? command(name, type, meta)
+				: command.replaceAll('{name}', name).replaceAll('{type}', type));
+		}
+	}
+
+	mute(){ this.opts.muted = true; }
+	unmute(){ this.opts.muted = false; }
+
+	// /////////////////////////////////////////////////////////////////
+	// Sound
+
+	_play_tones(tones){
+		const ctx = this._context();
+		if(!ctx){
+			return;
+		}
+		for(const tone of tones){
+			const start = ctx.currentTime + ((tone.delay ?? 0) / 1000);
+			const end = start + (tone.duration / 1000);
+
+			const osc = ctx.createOscillator();
+			osc.type = tone.waveform ?? this.opts.waveform;
+			osc.frequency.value = tone.frequency;
+
+			// Short ramps in and out, so tones don't click
+			const gain = ctx.createGain();
+			const volume = tone.volume ?? this.opts.volume;
+			gain.gain.setValueAtTime(0, start);
+			gain.gain.linearRampToValueAtTime(volume, start + 0.005);
+			gain.gain.setValueAtTime(volume, Math.max(start + 0.005, end - 0.005));
+			gain.gain.linearRampToValueAtTime(0, end);
+
+			osc.connect(gain).connect(ctx.destination);
+			osc.start(start);
+			osc.stop(end);
+		}
+	}
+
+	// Browsers only allow audio after the user has interacted with the page, which a press will have done
+	_context(){
+		if(!this._audio){
+			const AudioContext = window.AudioContext ?? window.webkitAudioContext;
+			if(!AudioContext){
+				console.warn("Web Audio isn't supported in this browser");
+				this.opts.sound_enabled = false;
+				return null;
+			}
+			this._audio = new AudioContext();
+		}
+		if(this._audio.state == 'suspended'){
+			this._audio.resume();
+		}
+		return this._audio;
+	}
+}
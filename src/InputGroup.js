@@ -0,0 +1,334 @@
+//  ***********************************************
+//  ***********************************************
+//  InputGroup
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Coordinates several Input objects to detect multi-button combos:
+//   + chords    -> A+B held down together
+//   + sequences -> A then B then A, within a time limit
+//   + holds     -> hold A while tapping B
+//
+//  Presses which turn out to be part of a combo are held back from the
+//  individual Input fire() handlers. This means a button which starts a
+//  sequence only fires its own single press once the sequence is ruled out,
+//  and a button used as a "hold" modifier only fires its long press on release.
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const group = new InputGroup({
+//    inputs: [btn_a, btn_b],     // Input objects to watch
+//    chord_tolerance: 80,        // Max time between first and last button going down in a chord
+//    sequence_timeout: 1000,     // Default time limit for a whole sequence
+//    combos: [
+//      {name: "both",    type: "chord",    inputs: [btn_a, btn_b]},
+//      {name: "secret",  type: "sequence", inputs: ["A", "B", "A"], within: 800},
+//      {name: "shifted", type: "hold",     hold: btn_a, tap: btn_b}
+//    ],
+//    fire: (name, combo) => console.log(name)   // Callback for when a combo is recognised
+//  });
+//
+//  Inputs in a combo can be given as the Input object, or by its name option.
+//  Sequence steps match single presses by default. Pass {input: btn_a, type: "double"} to match another press type.
+//  Each combo can also have its own fire() handler, which is used instead of the group one.
+//
+//  Public methods:
+//
+//    add(input)        -> Add an Input to the group
+//    add_combo(combo)  -> Add a new combo definition
+//    remove()          -> Detach the group from all its inputs
+//
+//  ***********************************************
+
+class InputGroup{
+
+	// Default options are below
+	_default_opts = {
+		inputs: [],
+		combos: [],
+		fire: (name, combo) => {},		// Handler for when a combo is recognised
+
+		chord_tolerance: 	80,			// Max gap between the first and last button going down in a chord
+		sequence_timeout: 1000,			// Time limit for a whole sequence, if the combo doesn't set its own
+
+		clock: Input.default_clock		// Source of time and timers, pass the same clock as the inputs
+	};
+
+	_inputs = [];
+	_state = new Map();
+	_combos = [];
+
+	// Presses held back while they match the start of a sequence
+	_sequence = [];
+	_sequence_timer = null;
+
+	constructor(opts){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		for(const input of this.opts.inputs){
+			this.add(input);
+		}
+		for(const combo of this.opts.combos){
+			this.add_combo(combo);
+		}
+	}
+
+	// Start watching an input
+	add(input){
+		if(this._state.has(input)){
+			return;
+		}
+		if(input._group){
+			console.warn(`Input "${input.opts.name}" already belongs to another group`);
+			return;
+		}
+		input._group = this;
+		this._inputs.push(input);
+		this._state.set(input, {
+			pressed: false,
+			down_at: 0,
+			consumed: false,		// Press was used by a combo, so drop anything else it fires
+			chord_pending: false,	// Press might still become part of a chord
+			chord_timer: null,
+			held: []					// Presses held back until we know they aren't part of a combo
+		});
+	}
+
+	// Add a new combo definition
+	add_combo(combo){
+		combo = {...combo};
+
+		switch(combo.type){
+			case 'chord':
+				combo.inputs = combo.inputs.map(ref => this._find(ref));
+				if(combo.inputs.includes(undefined)) return;
+				combo.name = combo.name ?? `chord:${combo.inputs.map(i => i.opts.name).join('+')}`;
+				break;
+
+			case 'sequence':
+				combo.steps = combo.inputs.map(step => {
+					const is_step_obj = (typeof step == 'object') && !(step instanceof Input);
+					return {
+						input: this._find(is_step_obj ? step.input : step),
+						type: is_step_obj ? (step.type ?? 'single') : 'single'
+					};
+				});
+				if(combo.steps.some(step => !step.input)) return;
+				combo.within = combo.within ?? this.opts.sequence_timeout;
+				combo.name = combo.name ?? `sequence:${combo.steps.map(s => s.input.opts.name).join(',')}`;
+				break;
+
+			case 'hold':
+				combo.hold = this._find(combo.hold);
+				combo.tap = this._find(combo.tap);
+				if(!combo.hold || !combo.tap) return;
+				combo.name = combo.name ?? `hold:${combo.hold.opts.name}+${combo.tap.opts.name}`;
+				break;
+
+			default:
+				console.warn(`Combo type not recognised: ${combo.type}`);
+				return;
+		}
+
+		this._combos.push(combo);
+		return combo;
+	}
+
+	// Detach from all inputs, releasing anything held back
+	remove(){
+		this._flush_sequence();
+		for(const [input, state] of this._state){
+			this.opts.clock.clear_timeout(state.chord_timer);
+			state.held.forEach(press => input._fire(press.type, press.meta));
+			input._group = null;
+		}
+		this._state.clear();
+		this._inputs = [];
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Hooks called by the Input objects
+
+	// Button has gone down
+	_input_down(input){
+		const state = this._state.get(input);
+		state.pressed = true;
+		state.down_at = this.opts.clock.now();
+		state.consumed = false;
+
+		// Has this completed a chord? Prefer the chord with the most buttons
+		const chords = this._combos.filter(c => (c.type == 'chord') && c.inputs.includes(input) && this._is_chord_down(c));
+		if(chords.length > 0){
+			const chord = chords.reduce((a, b) => (b.inputs.length > a.inputs.length) ? b : a);
+			chord.inputs.forEach(i => this._consume(i));
+			this._trigger(chord);
+			return;
+		}
+
+		// Is this a tap while another button is held?
+		// Checked after chords, so a button pressed just after the held one makes a chord rather than a hold
+		const hold = this._combos.find(c => (c.type == 'hold') && (c.tap === input) && this._state.get(c.hold).pressed);
+		if(hold){
+			this._consume(hold.hold);
+			this._consume(input);
+			this._trigger(hold);
+			return;
+		}
+
+		// Hold back presses while another button could still join it in a chord
+		if(this._combos.some(c => (c.type == 'chord') && c.inputs.includes(input))){
+			state.chord_pending = true;
+			this.opts.clock.clear_timeout(state.chord_timer);
+			state.chord_timer = this.opts.clock.set_timeout(() => {
+				state.chord_pending = false;
+				this._flush(input);
+			}, this.opts.chord_tolerance);
+		}
+	}
+
+	// Button has been released
+	_input_up(input){
+		const state = this._state.get(input);
+		state.pressed = false;
+		this._flush(input);
+	}
+
+	// Input wants to fire, return true to stop it
+	_intercept(input, type, meta){
+		const state = this._state.get(input);
+		if(state.consumed){
+			return true;
+		}
+		if(this._is_holding(input)){
+			state.held.push({type: type, meta: meta});
+			return true;
+		}
+		return this._sequence_step(input, type, meta);
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Combo logic
+
+	// Are all the chord buttons down, and did they go down close enough together?
+	_is_chord_down(chord){
+		const states = chord.inputs.map(i => this._state.get(i));
+		if(!states.every(s => s.pressed)){
+			return false;
+		}
+		const times = states.map(s => s.down_at);
+		return (Math.max(...times) - Math.min(...times)) <= this.opts.chord_tolerance;
+	}
+
+	// Should presses from this input be held back for now?
+	_is_holding(input){
+		const state = this._state.get(input);
+		if(state.chord_pending){
+			return true;
+		}
+		return state.pressed && this._combos.some(c => (c.type == 'hold') && (c.hold === input));
+	}
+
+	// Release presses which were held back, if we no longer need to hold them
+	_flush(input){
+		const state = this._state.get(input);
+		if(state.consumed || this._is_holding(input)){
+			return;
+		}
+		for(const press of state.held.splice(0)){
+			if(!this._sequence_step(input, press.type, press.meta)){
+				input._fire(press.type, press.meta);
+			}
+		}
+	}
+
+	// Mark the input as used by a combo, dropping anything it has held back
+	_consume(input){
+		const state = this._state.get(input);
+		state.consumed = true;
+		state.chord_pending = false;
+		state.held = [];
+		this.opts.clock.clear_timeout(state.chord_timer);
+		input.cancel('group');
+	}
+
+	// Check a press against the sequences, return true if it has been held back
+	_sequence_step(input, type, meta){
+		const sequences = this._combos.filter(c => c.type == 'sequence');
+		if(sequences.length == 0){
+			return false;
+		}
+
+		const now = this.opts.clock.now();
+		const candidate = [...this._sequence, {input: input, type: type, meta: meta, time: now}];
+
+		// Completed a sequence?
+		const complete = sequences.find(s => this._sequence_matches(s, candidate, true));
+		if(complete){
+			this.opts.clock.clear_timeout(this._sequence_timer);
+			this._sequence = [];
+			this._trigger(complete);
+			return true;
+		}
+
+		// Still part way through at least one sequence?
+		const partial = sequences.filter(s => this._sequence_matches(s, candidate, false));
+		if(partial.length > 0){
+			this._sequence = candidate;
+
+			// Give up once the slowest matching sequence has run out of time
+			const deadline = candidate[0].time + Math.max(...partial.map(s => s.within));
+			this.opts.clock.clear_timeout(this._sequence_timer);
+			this._sequence_timer = this.opts.clock.set_timeout(() => this._flush_sequence(), deadline - now);
+			return true;
+		}
+
+		// Broken the sequence, so let go of what we held and see if this press starts a new one
+		if(this._sequence.length > 0){
+			this._flush_sequence();
+			return this._sequence_step(input, type, meta);
+		}
+		return false;
+	}
+
+	// Does the list of presses match the sequence (or the start of it)?
+	_sequence_matches(sequence, presses, full){
+		if(full ? (presses.length != sequence.steps.length) : (presses.length >= sequence.steps.length)){
+			return false;
+		}
+		if(presses[presses.length-1].time - presses[0].time > sequence.within){
+			return false;
+		}
+		return presses.every((press, i) => (press.input === sequence.steps[i].input) && (press.type == sequence.steps[i].type));
+	}
+
+	// Fire all presses held back by a sequence
+	_flush_sequence(){
+		this.opts.clock.clear_timeout(this._sequence_timer);
+		const held = this._sequence;
+		this._sequence = [];
+		held.forEach(press => press.input._fire(press.type, press.meta));
+	}
+
+	// Fire the handler for a recognised combo
+	_trigger(combo){
+		(combo.fire ?? this.opts.fire)(combo.name, combo);
+	}
+
+	// Look up an input by object or by name
+	_find(ref){
+		const input = (ref instanceof Input) ? ref : this._inputs.find(i => i.opts.name == ref);
+		if(!input){
+			console.warn(`Input not found in group: ${ref}`);
+			return undefined;
+		}
+		this.add(input);
+		return this._state.has(input) ? input : undefined;
+	}
+}
@@ -0,0 +1,239 @@
+//  ***********************************************
+//  ***********************************************
+//  InputLayers
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Mode layers for Input buttons, so the same physical buttons can do different things
+//  in different modes (e.g. menu vs playback, or while shift is held).
+//  Each layer has its own handlers per input and press type, and only the press types with handlers are recognised,
+//  so a button which only needs single presses in a mode fires without waiting for a double.
+//  Layers sit in a stack, so modes can be pushed on top and popped off again.
+//  Requires Input.js
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const layers = new InputLayers({
+//    inputs: [play, next, shift, menu],   // Input objects, looked up by their name option
+//    base: 'playback',                   // Layer at the bottom of the stack
+//    layers: {
+//      playback: {
+//        inputs: {
+//          Play: {single: () => toggle_play(), long: () => stop()},
+//          Next: {single: () => next_track(), double: () => next_album()}
+//        }
+//      },
+//      menu: {
+//        inputs: {
+//          Play: {single: () => select()},
+//          Next: {single: () => move_down()}
+//        }
+//      },
+//      shifted: {
+//        fallthrough: true,              // Inputs with no handler here use the layers underneath
+//        inputs: {
+//          Next: {single: () => previous_track()}
+//        }
+//      }
+//    },
+//    switches: [
+//      {input: 'Shift', layer: 'shifted', mode: 'hold'},            // Layer is on while the input is held down
+//      {input: 'Menu', layer: 'menu', mode: 'toggle', type: 'single'} // Layer turns on and off with each press
+//    ],
+//    onChange: (layer, stack) => console.log(`Now in ${layer}`)
+//  });
+//
+//  Handlers are called with (meta, layer), meta being the same as for the Input fire option.
+//  Hold switches don't fire presses of their own.
+//
+//  Public methods:
+//
+//    push(layer)       -> Put a layer on top of the stack
+//    pop(layer)        -> Take the top layer off (or a named layer, wherever it is), returns its name. The base layer stays
+//    set(layer)        -> Clear the stack back to the base layer, then push this one
+//    current()         -> Returns the name of the top layer
+//    is_active(layer)  -> Is this layer anywhere in the stack
+//    add(input)        -> Add another Input
+//
+//  Public properties:
+//
+//    stack  -> Names of the layers in the stack, base first
+//
+//  ***********************************************
+
+class InputLayers{
+
+	// Default options are below
+	_default_opts = {
+		inputs: [],
+		layers: {},
+		base: null,						// Defaults to the first layer
+		switches: [],
+		dom: null,						// Element to set data-layer on, for styling each mode
+		onChange: (layer, stack) => {},
+		onUnhandled: (name, type, meta, layer) => {}
+	};
+
+	stack = [];
+
+	_inputs = [];
+
+	constructor(opts){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		this.opts.base = this.opts.base ?? Object.keys(this.opts.layers)[0];
+		if(!this.opts.layers[this.opts.base]){
+			console.warn(`No base layer called: ${this.opts.base}`);
+		}
+		this.stack = [this.opts.base];
+
+		for(const input of this.opts.inputs){
+			this.add(input);
+		}
+		this._update();
+	}
+
+	// Add another input
+	add(input){
+		if(!input.opts.name){
+			console.warn("Inputs need a name to be used in layers");
+			return;
+		}
+		this._inputs.push(input);
+
+		const name = input.opts.name;
+		input.on('press', (e) => this._handle_press(name, e));
+
+		// Hold switches are on for as long as the input is down
+		for(const s of this._switches(name, 'hold')){
+			input.on('down', () => this.push(s.layer));
+			input.on('up', () => this.pop(s.layer));
+			input.on('cancel', () => this.pop(s.layer));
+		}
+		this._update_input(input);
+	}
+
+	// Put a layer on top of the stack
+	push(layer){
+		if(!this.opts.layers[layer]){
+			console.warn(`No layer called: ${layer}`);
+			return;
+		}
+		// Only one of each layer, so move it to the top if it's already there
+		this.stack = this.stack.filter((l, i) => (i == 0) || (l != layer));
+		this.stack.push(layer);
+		this._update();
+	}
+
+	// Take a layer off the stack
+	pop(layer){
+		let index = this.stack.length - 1;
+		if(layer !== undefined){
+			index = this.stack.lastIndexOf(layer);
+		}
+		// The base layer always stays
+		if(index < 1){
+			return null;
+		}
+		const popped = this.stack.splice(index, 1)[0];
+		this._update();
+		return popped;
+	}
+
+	// Go back to the base layer, with one layer on top
+	set(layer){
+		this.stack = [this.opts.base];
+		if((layer !== undefined) && (layer != this.opts.base)){
+			this.push(layer);
+		}else{
+			this._update();
+		}
+	}
+
+	current(){
+		return this.stack[this.stack.length - 1];
+	}
+
+	is_active(layer){
+		return this.stack.includes(layer);
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Internals
+
+	_handle_press(name, meta){
+		const type = meta.type;
+
+		// Toggle switches are taken before the layers see them
+		const toggle = this._switches(name, 'toggle').find(s => (s.type ?? 'single') == type);
+		if(toggle){
+			if(this.current() == toggle.layer){
+				this.pop();
+			}else{
+				this.push(toggle.layer);
+			}
+			return;
+		}
+
+		for(const layer of this._visible_layers()){
+			const handler = this.opts.layers[layer].inputs?.[name]?.[type];
+			if(handler){
+				handler(meta, layer);
+				return;
+			}
+		}
+		this.opts.onUnhandled(name, type, meta, this.current());
+	}
+
+	// Layers which can handle presses, top first, down to the first without fallthrough
+	_visible_layers(){
+		const layers = [];
+		for(const layer of [...this.stack].reverse()){
+			// The base layer may be missing, which has been warned about already
+			if(!this.opts.layers[layer]){
+				break;
+			}
+			layers.push(layer);
+			if(!this.opts.layers[layer].fallthrough){
+				break;
+			}
+		}
+		return layers;
+	}
+
+	_switches(name, mode){
+		return this.opts.switches.filter(s => (s.input == name) && ((s.mode ?? 'hold') == mode));
+	}
+
+	// Tell every input which press types it needs in this layer
+	_update(){
+		for(const input of this._inputs){
+			this._update_input(input);
+		}
+		if(this.opts.dom){
+			this.opts.dom.dataset.layer = this.current();
+		}
+		this.opts.onChange(this.current(), [...this.stack]);
+	}
+
+	_update_input(input){
+		const name = input.opts.name;
+		const types = new Set();
+		for(const layer of this._visible_layers()){
+			for(const type in (this.opts.layers[layer].inputs?.[name] ?? {})){
+				types.add(type);
+			}
+		}
+		for(const s of this._switches(name, 'toggle')){
+			types.add(s.type ?? 'single');
+		}
+		input.set_press_types([...types]);
+	}
+}
@@ -0,0 +1,264 @@
+//  ***********************************************
+//  ***********************************************
+//  InputRecorder
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Records the raw down/up/discrete key events from a set of Input objects as a timestamped trace,
+//  which can be saved as JSON and replayed back into the same inputs later.
+//
+//  Useful for reproducing exactly what a participant did in a usability session,
+//  running demos hands-free, or checking how new thresholds classify the same raw presses.
+//
+//  Only raw events are replayed, so press types are worked out again by the inputs with their current options.
+//  The press types fired at the time are saved in the trace too, to compare against.
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const recorder = new InputRecorder({
+//    inputs: [btn_a, btn_b]   // Input objects to record, each must have a unique name option
+//  });
+//
+//  recorder.start();
+//  ...
+//  recorder.stop();
+//  const json = recorder.to_json();
+//
+//  // Later on
+//  recorder.from_json(json);
+//  const presses = await recorder.replay({speed: 1});
+//
+//  Replaying faster than real time also squashes the gaps between presses,
+//  so keep speed at 1 when checking how thresholds classify the presses.
+//  To check a trace without waiting, give the inputs and recorder the same Input.manual_clock(),
+//  then call clock.advance() past the end of the trace after starting the replay.
+//
+//  Public methods:
+//
+//    add(input)          -> Start recording another Input
+//    start()             -> Clear the trace and start recording
+//    stop()              -> Stop recording or replaying
+//    to_json()           -> Returns the trace as a JSON string
+//    from_json(json)     -> Load a trace from a JSON string (or object)
+//    download()          -> Save the trace as a .json file
+//    replay(opts)        -> Play the trace back into the inputs, returns a Promise of the press types fired
+//
+//  Public properties:
+//
+//    trace      -> The current trace: {version, recorded_at, duration, events, presses}
+//    recording  -> true while recording
+//    replaying  -> true while replaying
+//
+//  ***********************************************
+
+class InputRecorder{
+
+	// Default options are below
+	_default_opts = {
+		inputs: [],
+		filename_prefix: 'input_trace_',
+
+		clock: Input.default_clock		// Source of time and timers, pass the same clock as the inputs
+	};
+
+	// Cancels caused by other helpers (e.g. InputGroup combos) happen again by themselves on replay
+	_derived_sources = ['group'];
+
+	trace = this._empty_trace();
+	recording = false;
+	replaying = false;
+
+	_inputs = [];
+	_replay_timer = null;
+	_replay_started = 0;
+	_replay_presses = null;
+	_replay_resolve = null;
+
+	constructor(opts){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		for(const input of this.opts.inputs){
+			this.add(input);
+		}
+	}
+
+	// Start recording another input
+	add(input){
+		if(!input.opts.name){
+			console.warn("Inputs need a name to be recorded");
+			return;
+		}
+		if(this._inputs.some(i => i.opts.name == input.opts.name)){
+			console.warn(`Input name "${input.opts.name}" is already being recorded`);
+			return;
+		}
+		this._inputs.push(input);
+
+		const name = input.opts.name;
+		input.on('down', (e) => this._record({input: name, action: 'down', source: e.source}));
+		input.on('up', (e) => this._record({input: name, action: 'up'}));
+		input.on('cancel', (e) => {
+			if(!this._derived_sources.includes(e.source)){
+				this._record({input: name, action: 'cancel', source: e.source});
+			}
+		});
+		input.on('press', (e) => {
+			// Discrete keys skip down/up, so they are recorded as the press itself
+			if(e.source == 'discrete'){
+				this._record({input: name, action: 'discrete', type: e.type});
+			}
+			this._record_press(name, e.type);
+		});
+	}
+
+	// Clear the trace and start recording
+	start(){
+		this.stop();
+		this.trace = this._empty_trace();
+		this.trace.recorded_at = this.opts.clock.now();
+		this.recording = true;
+	}
+
+	// Stop recording or replaying
+	stop(){
+		if(this.recording){
+			this.trace.duration = this.opts.clock.now() - this.trace.recorded_at;
+			this.recording = false;
+		}
+		if(this.replaying){
+			this.opts.clock.clear_timeout(this._replay_timer);
+			this._finish_replay();
+		}
+	}
+
+	// Export the trace
+	to_json(){
+		return JSON.stringify(this.trace);
+	}
+
+	// Import a trace
+	from_json(json){
+		const trace = (typeof json == 'string') ? JSON.parse(json) : json;
+		if(!Array.isArray(trace.events)){
+			console.warn("Trace has no events to load");
+			return false;
+		}
+		this.stop();
+		this.trace = {...this._empty_trace(), ...trace};
+		return true;
+	}
+
+	// Save trace as a file
+	download(){
+		const blob = new Blob([this.to_json()], {type: 'application/json'});
+		const link = document.createElement('a');
+		link.href = URL.createObjectURL(blob);
+		link.download = `${this.opts.filename_prefix}${Math.round(this.trace.recorded_at/1000)}.json`;
+		link.click();
+		URL.revokeObjectURL(link.href);
+	}
+
+	// Play the trace back into the inputs
+	// Resolves with the presses fired during the replay, in the same format as trace.presses
+	replay(opts = {}){
+		opts = {...{
+			speed: 1
+		}, ...opts};
+
+		this.stop();
+
+		return new Promise(resolve => {
+			this.replaying = true;
+			this._replay_presses = [];
+			this._replay_resolve = resolve;
+			this._replay_started = this.opts.clock.now();
+
+			// Each step schedules the next from the replay start, so timings don't drift
+			let index = 0;
+			const step = () => {
+				const now = this.opts.clock.now() - this._replay_started;
+				while((index < this.trace.events.length) && (this.trace.events[index].t / opts.speed <= now)){
+					this._replay_event(this.trace.events[index]);
+					index++;
+				}
+				if(index < this.trace.events.length){
+					this._replay_timer = this.opts.clock.set_timeout(step, (this.trace.events[index].t / opts.speed) - now);
+				}else{
+					// Leave time for the final press to be classified before finishing
+					this._replay_timer = this.opts.clock.set_timeout(() => this._finish_replay(), this._settle_time());
+				}
+			};
+			step();
+		});
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Internals
+
+	_empty_trace(){
+		return {
+			version: 1,
+			recorded_at: null,
+			duration: 0,
+			events: [],
+			presses: []
+		};
+	}
+
+	_record(event){
+		if(!this.recording || this.replaying){
+			return;
+		}
+		this.trace.events.push({t: this.opts.clock.now() - this.trace.recorded_at, ...event});
+	}
+
+	_record_press(name, type){
+		if(this.replaying){
+			this._replay_presses.push({t: this.opts.clock.now() - this._replay_started, input: name, type: type});
+		}else if(this.recording){
+			this.trace.presses.push({t: this.opts.clock.now() - this.trace.recorded_at, input: name, type: type});
+		}
+	}
+
+	_replay_event(event){
+		const input = this._inputs.find(i => i.opts.name == event.input);
+		if(!input){
+			console.warn(`No input to replay into: ${event.input}`);
+			return;
+		}
+		switch(event.action){
+			case 'down':
+				input.down(event.source);
+				break;
+			case 'up':
+				input.up();
+				break;
+			case 'cancel':
+				input.cancel(event.source);
+				break;
+			case 'discrete':
+				input.fire(event.type, 'discrete');
+				break;
+		}
+	}
+
+	// Longest time any input might wait before deciding on a press
+	_settle_time(){
+		return Math.max(0, ...this._inputs.map(i => i.opts.double_press_threshold)) + 50;
+	}
+
+	_finish_replay(){
+		this.replaying = false;
+		if(this._replay_resolve){
+			this._replay_resolve(this._replay_presses);
+			this._replay_resolve = null;
+		}
+	}
+}
@@ -0,0 +1,258 @@
+//  ***********************************************
+//  ***********************************************
+//  InputRouter
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Routes text messages from hardware (e.g. "B1:DOWN") into Input and Dial objects,
+//  so the glue between onReceive and input.down()/up() doesn't need writing for every project.
+//  Attaches straight to the onReceive callback of modules/Serial.js, modules/BLE.js and WebMQTT.
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const router = new InputRouter({
+//    inputs: [btn1, btn2, volume],      // Input and Dial objects, looked up by their name option
+//    routes: [
+//      '{name}:{action}',                                      // "B1:DOWN", "B1:UP", "B1:DOUBLE"
+//      {match: 'POT{name}={value}', action: 'value'},          // "POT1=512" -> volume.set(512)
+//      {match: /^ENC(\w+) ([+-]\d+)$/, name: 1, value: 2, action: 'step'},   // Regex, with group numbers
+//      {match: 'BTN', input: 'B1', action: 'down'},            // Fixed input name
+//      {match: '{name}:{action}', topic: 'buttons'}            // MQTT, only for messages on this topic
+//    ],
+//    onUnmatched: (msg) => console.log(`Unknown: ${msg}`)
+//  });
+//  router.attach(serial);
+//
+//  Templates can use {name}, {action} (or {type}) and {value}. Regexes can use named groups with the same names instead.
+//
+//  Actions:
+//    down / up      -> input.down() / input.up()
+//    value          -> dial.set(value)
+//    step           -> dial.step(value), value defaults to 1
+//    anything else  -> fired as a press of that type, e.g. "DOUBLE" -> input.fire('double')
+//
+//  Public methods:
+//
+//    attach(connection)  -> Take over onReceive for a Serial, BLE or WebMQTT object (the old handler is still called)
+//    detach(connection)  -> Put the old onReceive back
+//    receive(msg)        -> Route a message by hand, returns true if a route matched
+//    add(input)          -> Add another Input or Dial
+//    add_route(route)    -> Add another route
+//
+//  ***********************************************
+
+class InputRouter{
+
+	// Default options are below
+	_default_opts = {
+		inputs: [],
+		routes: ['{name}:{action}'],
+		pass_through: true,					// Still call the connection's old onReceive, e.g. for logging
+		case_sensitive: false,				// Match input names exactly, or ignore case
+		onUnmatched: (msg) => {}
+	};
+
+	// Patterns for the template placeholders
+	_placeholders = {
+		name: '[\\w.-]+',
+		action: '\\w+',
+		type: '\\w+',
+		value: '[-+]?\\d*\\.?\\d+'
+	};
+
+	_inputs = [];
+	_routes = [];
+	_attached = new Map();
+
+	constructor(opts){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		for(const input of this.opts.inputs){
+			this.add(input);
+		}
+		for(const route of this.opts.routes){
+			this.add_route(route);
+		}
+	}
+
+	// Add another Input or Dial
+	add(input){
+		if(!input.opts.name){
+			console.warn("Inputs need a name to be routed to");
+			return;
+		}
+		this._inputs.push(input);
+	}
+
+	// Add another route
+	add_route(route){
+		if((typeof route == 'string') || (route instanceof RegExp)){
+			route = {match: route};
+		}
+		route = {...route};
+
+		if(typeof route.match == 'string'){
+			route.regex = this._compile_template(route.match);
+		}else if(route.match instanceof RegExp){
+			route.regex = route.match;
+		}else{
+			console.warn(`Route needs a string template or regex to match: ${route.match}`);
+			return;
+		}
+		this._routes.push(route);
+	}
+
+	// Take over a connection's onReceive handler
+	attach(connection){
+		// modules/ use options, src/ uses opts
+		const opts = connection.options ?? connection.opts;
+		if(!opts){
+			console.warn("Connection has no options to attach to");
+			return;
+		}
+		if(this._attached.has(connection)){
+			return;
+		}
+
+		const previous = opts.onReceive;
+		this._attached.set(connection, previous);
+
+		opts.onReceive = (msg) => {
+			const matched = this.receive(msg);
+			if(previous && (this.opts.pass_through || !matched)){
+				previous(msg);
+			}
+		};
+	}
+
+	// Put back the original onReceive handler
+	detach(connection){
+		if(!this._attached.has(connection)){
+			return;
+		}
+		const opts = connection.options ?? connection.opts;
+		opts.onReceive = this._attached.get(connection);
+		this._attached.delete(connection);
+	}
+
+	// Route a message
+	// Takes a string, or {topic, payload} from WebMQTT
+	receive(msg){
+		// Nothing to route, e.g. an empty notification
+		if((msg === null) || (msg === undefined)){
+			return false;
+		}
+		const topic = (typeof msg == 'object') ? msg.topic : null;
+		const text = String((typeof msg == 'object') ? msg.payload : msg);
+
+		// A BLE notification can hold several lines at once
+		let matched = false;
+		for(const line of text.split(/\r?\n/)){
+			const trimmed = line.trim();
+			if(trimmed.length == 0) continue;
+
+			if(this._route_line(trimmed, topic)){
+				matched = true;
+			}else{
+				this.opts.onUnmatched((typeof msg == 'object') ? {...msg, payload: trimmed} : trimmed);
+			}
+		}
+		return matched;
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Internals
+
+	// Try each route in turn until one matches
+	_route_line(line, topic){
+		for(const route of this._routes){
+			if((route.topic !== undefined) && (route.topic != topic)){
+				continue;
+			}
+			const match = line.match(route.regex);
+			if(!match){
+				continue;
+			}
+
+			const name = route.input ?? this._group(match, route.name, 'name');
+			const action = route.action ?? this._group(match, route.type, 'type') ?? this._group(match, route.action, 'action');
+			const value = this._group(match, route.value, 'value');
+
+			const input = this._find(name);
+			if(!input){
+				console.warn(`No input to route to: ${name}`);
+				continue;
+			}
+			if(!action){
+				console.warn(`Route has no action for: ${line}`);
+				continue;
+			}
+			this._dispatch(input, action.toLowerCase(), value);
+			return true;
+		}
+		return false;
+	}
+
+	// Call the right method on the input for the action
+	_dispatch(input, action, value){
+		const method = {down: 'down', up: 'up', value: 'set', step: 'step'}[action] ?? 'fire';
+		if(typeof input[method] != 'function'){
+			console.warn(`Input ${input.opts?.name} can't take ${action}`);
+			return;
+		}
+		switch(action){
+			case 'down':
+				input.down();
+				break;
+			case 'up':
+				input.up();
+				break;
+			case 'value':
+				input.set(parseFloat(value));
+				break;
+			case 'step':
+				input.step((value === undefined) ? 1 : parseFloat(value));
+				break;
+			default:
+				input.fire(action);
+				break;
+		}
+	}
+
+	// Pull a value out of a match, by group number or by name
+	_group(match, index, group_name){
+		if(typeof index == 'number'){
+			return match[index];
+		}
+		return match.groups ? match.groups[group_name] : undefined;
+	}
+
+	// Look up an input by name
+	_find(name){
+		if(name === undefined){
+			return undefined;
+		}
+		return this._inputs.find(i => i.opts.name == name)
+			?? (this.opts.case_sensitive ? undefined : this._inputs.find(i => String(i.opts.name).toLowerCase() == name.toLowerCase()));
+	}
+
+	// Turn '{name}:{action}' into a regex with named groups
+	_compile_template(template){
+		const escaped = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+		const source = escaped.replace(/\{(\w+)\}/g, (all, placeholder) => {
+			if(!this._placeholders[placeholder]){
+				console.warn(`Unknown placeholder in route: ${all}`);
+				return all;
+			}
+			return `(?<${placeholder}>${this._placeholders[placeholder]})`;
+		});
+		return new RegExp(`^${source}$`, this.opts.case_sensitive ? '' : 'i');
+	}
+}
@@ -0,0 +1,427 @@
+//  ***********************************************
+//  ***********************************************
+//  InputTuner
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  On-page debug overlay for tuning the timing of Input buttons live.
+//  Shows a timeline of each press against the thresholds, with the press type that fired,
+//  and sliders to change each timing value without reloading. Tuned values can be saved as presets per input.
+//  Requires Input.js. Include the InputTuner.css as well.
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const tuner = new InputTuner({
+//    inputs: [btn1, btn2],        // Input objects to tune, each needs a name option
+//    toggle_key: '`',             // Key to show/hide the overlay
+//    visible: true,               // Show straight away
+//    timeline_span: 3000,         // How many ms of history the timeline shows
+//    storage_key: 'input_tuner',  // localStorage key for saved presets
+//    auto_load: true              // Apply each input's "default" preset when it is added
+//  });
+//
+//  Public methods:
+//
+//    add(input)                  -> Add another Input to the overlay
+//    show() / hide() / toggle()  -> Show or hide the overlay
+//    save(name, preset)          -> Save the current timings of the named input as a preset
+//    load(name, preset)          -> Apply a saved preset to the named input
+//    delete_preset(name, preset) -> Delete a saved preset
+//    presets(name)               -> Returns the saved presets for the named input
+//    remove()                    -> Remove the overlay
+//
+//  ***********************************************
+
+class InputTuner{
+
+	// Default options are below
+	_default_opts = {
+		inputs: [],
+		container: null,
+		toggle_key: '`',
+		visible: true,
+		timeline_span: 3000,
+		storage_key: 'input_tuner',
+		auto_load: true
+	};
+
+	// Timing options which get a slider
+	_params = [
+		{key: 'long_press_threshold',		label: 'Long',				min: 100,	max: 3000,	step: 50},
+		{key: 'double_press_threshold',	label: 'Double gap',		min: 0,		max: 600,	step: 10},
+		{key: 'repeat_init_delay',			label: 'Repeat delay',	min: 100,	max: 2000,	step: 50},
+		{key: 'repeat_interval',			label: 'Repeat every',	min: 20,		max: 1000,	step: 10}
+	];
+
+	_rows = [];
+	_drawing = false;
+	_frame = null;
+
+	constructor(opts){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		// Build the panel
+		this.panel = document.createElement('div');
+		this.panel.classList.add('input-tuner');
+		(this.opts.container ?? document.body).append(this.panel);
+
+		for(const input of this.opts.inputs){
+			this.add(input);
+		}
+
+		this._onKeyDown = (e) => {
+			if((e.key == this.opts.toggle_key) && !e.target.closest?.('input, textarea, select, [contenteditable]')){
+				this.toggle();
+			}
+		};
+		if(this.opts.toggle_key){
+			document.addEventListener('keydown', this._onKeyDown);
+		}
+
+		if(this.opts.visible){
+			this.show();
+		}else{
+			this.hide();
+		}
+	}
+
+	// Add a new input to the overlay
+	add(input){
+		if(!input.opts.name){
+			console.warn("Inputs need a name to be tuned");
+			return;
+		}
+
+		const row = {
+			input: input,
+			presses: [],		// {down, up}
+			fires: [],			// {time, type}
+			sliders: {}
+		};
+		this._rows.push(row);
+		this._build_row(row);
+
+		// Track presses for the timeline, forgetting old ones as new ones come in, even while hidden
+		row.handlers = {
+			down: (e) => {
+				this._trim(row);
+				row.presses.push({down: e.time, up: null});
+			},
+			up: (e) => {
+				const press = row.presses[row.presses.length-1];
+				if(press && (press.up === null)){
+					press.up = e.time;
+				}
+			},
+			press: (e) => {
+				this._trim(row);
+				row.fires.push({time: e.time, type: e.type});
+			}
+		};
+		for(const event in row.handlers){
+			input.on(event, row.handlers[event]);
+		}
+
+		if(this.opts.auto_load && this.presets(input.opts.name)['default']){
+			this.load(input.opts.name, 'default');
+		}
+	}
+
+	show(){
+		this.panel.hidden = false;
+		if(!this._drawing){
+			this._drawing = true;
+			// A frame may still be waiting from before it was last hidden
+			if(this._frame === null){
+				this._frame = window.requestAnimationFrame(() => this._draw());
+			}
+		}
+	}
+	hide(){
+		this.panel.hidden = true;
+		this._drawing = false;
+	}
+	toggle(){
+		if(this.panel.hidden){
+			this.show();
+		}else{
+			this.hide();
+		}
+	}
+
+	// Save current timings as a preset
+	save(name, preset = 'default'){
+		const row = this._find(name);
+		if(!row) return;
+
+		const stored = this._load_storage();
+		stored[name] = stored[name] ?? {};
+		stored[name][preset] = Object.fromEntries(this._params.map(p => [p.key, row.input.opts[p.key]]));
+		this._save_storage(stored);
+		this._update_presets(row);
+	}
+
+	// Apply a saved preset
+	load(name, preset = 'default'){
+		const row = this._find(name);
+		const values = this.presets(name)[preset];
+		if(!row || !values){
+			console.warn(`No preset "${preset}" for ${name}`);
+			return;
+		}
+		for(const key in values){
+			this._set(row, key, values[key]);
+		}
+	}
+
+	delete_preset(name, preset){
+		const stored = this._load_storage();
+		if(stored[name]){
+			delete stored[name][preset];
+			this._save_storage(stored);
+		}
+		const row = this._find(name);
+		if(row) this._update_presets(row);
+	}
+
+	presets(name){
+		return this._load_storage()[name] ?? {};
+	}
+
+	remove(){
+		this._drawing = false;
+		this.panel.remove();
+		document.removeEventListener('keydown', this._onKeyDown);
+		for(const row of this._rows){
+			for(const event in row.handlers){
+				row.input.off(event, row.handlers[event]);
+			}
+		}
+		this._rows = [];
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Building the panel
+
+	_build_row(row){
+		const name = row.input.opts.name;
+
+		const elm = document.createElement('section');
+		elm.innerHTML = `
+			<h3></h3>
+			<canvas class="timeline"></canvas>
+			<div class="sliders"></div>
+			<div class="presets">
+				<select></select>
+				<button data-action="load">Load</button>
+				<button data-action="save">Save as…</button>
+				<button data-action="delete">Delete</button>
+				<input class="preset-name" placeholder="Preset name" hidden>
+			</div>`;
+		elm.querySelector('h3').textContent = name;
+		row.canvas = elm.querySelector('canvas');
+		row.select = elm.querySelector('select');
+		row.name_input = elm.querySelector('.preset-name');
+
+		// One slider per timing value
+		for(const param of this._params){
+			const label = document.createElement('label');
+			label.innerHTML = `<span></span><input type="range"><output></output>`;
+			label.querySelector('span').textContent = param.label;
+
+			const slider = label.querySelector('input');
+			slider.min = param.min;
+			slider.max = param.max;
+			slider.step = param.step;
+			slider.addEventListener('input', () => this._set(row, param.key, parseFloat(slider.value)));
+
+			row.sliders[param.key] = slider;
+			elm.querySelector('.sliders').append(label);
+			this._set(row, param.key, row.input.opts[param.key]);
+		}
+
+		// Preset buttons
+		elm.querySelector('.presets').addEventListener('click', (e) => {
+			const action = e.target.dataset.action;
+			switch(action){
+				case 'load':
+					if(row.select.value) this.load(name, row.select.value);
+					break;
+				case 'save':
+					row.name_input.value = row.select.value || 'default';
+					row.name_input.hidden = false;
+					row.name_input.focus();
+					row.name_input.select();
+					break;
+				case 'delete':
+					if(row.select.value) this.delete_preset(name, row.select.value);
+					break;
+			}
+		});
+		this._update_presets(row);
+
+		// Name for Save as, Enter saves and Escape or clicking away cancels
+		row.name_input.addEventListener('keydown', (e) => {
+			if(e.key == 'Enter'){
+				const preset = row.name_input.value.trim();
+				row.name_input.hidden = true;
+				if(preset) this.save(name, preset);
+			}else if(e.key == 'Escape'){
+				row.name_input.hidden = true;
+			}
+		});
+		row.name_input.addEventListener('blur', () => row.name_input.hidden = true);
+
+		this.panel.append(elm);
+	}
+
+	// Update the input and its slider together
+	_set(row, key, value){
+		row.input.opts[key] = value;
+		const slider = row.sliders[key];
+		if(slider){
+			slider.value = value;
+			slider.nextElementSibling.textContent = `${value}ms`;
+		}
+	}
+
+	_update_presets(row){
+		const current = row.select.value;
+		row.select.innerHTML = '';
+		for(const preset of Object.keys(this.presets(row.input.opts.name))){
+			const option = document.createElement('option');
+			option.value = option.textContent = preset;
+			row.select.append(option);
+		}
+		if(current) row.select.value = current;
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Timeline drawing
+
+	_draw(){
+		this._frame = null;
+		if(!this._drawing){
+			return;
+		}
+		for(const row of this._rows){
+			this._draw_row(row);
+		}
+		this._frame = window.requestAnimationFrame(() => this._draw());
+	}
+
+	_draw_row(row){
+		const canvas = row.canvas;
+		const input = row.input;
+
+		// Match canvas resolution to its size on screen
+		const ratio = window.devicePixelRatio || 1;
+		const width = canvas.clientWidth;
+		const height = canvas.clientHeight;
+		if(canvas.width != width * ratio){
+			canvas.width = width * ratio;
+			canvas.height = height * ratio;
+		}
+		const ctx = canvas.getContext('2d');
+		ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+		ctx.clearRect(0, 0, width, height);
+
+		const now = input.opts.clock.now();
+		const span = this.opts.timeline_span;
+		const x = (t) => width - ((now - t) / span) * width;
+
+		this._trim(row);
+
+		const bar_top = height * 0.45;
+		const bar_height = height * 0.3;
+		const holds = input._patterns().filter(p => p.hold !== undefined).map(p => p.hold);
+
+		for(const press of row.presses){
+			const end = press.up ?? now;
+
+			// Window where another tap would carry on the run
+			if(press.up !== null){
+				ctx.fillStyle = 'rgba(80, 160, 255, 0.25)';
+				ctx.fillRect(x(press.up), bar_top, (input.opts.double_press_threshold / span) * width, bar_height);
+			}
+
+			// The press itself
+			ctx.fillStyle = (press.up === null) ? '#ffd23f' : '#e0e0e0';
+			ctx.fillRect(x(press.down), bar_top, Math.max(1, x(end) - x(press.down)), bar_height);
+
+			// Hold thresholds
+			ctx.strokeStyle = '#ff5a5f';
+			for(const hold of holds){
+				this._tick(ctx, x(press.down + hold), bar_top - 4, bar_top + bar_height + 4);
+			}
+
+			// Repeat timings
+			if(input.opts.repeat_enabled){
+				ctx.strokeStyle = '#7bd389';
+				for(let t = press.down + input.opts.repeat_init_delay; t < end; t += input.opts.repeat_interval){
+					this._tick(ctx, x(t), bar_top + bar_height, bar_top + bar_height + 6);
+				}
+			}
+		}
+
+		// Label what fired
+		ctx.fillStyle = '#ffffff';
+		ctx.font = '10px monospace';
+		ctx.textAlign = 'center';
+		for(const fire of row.fires){
+			this._tick(ctx, x(fire.time), height * 0.3, bar_top);
+			ctx.fillText(fire.type, x(fire.time), height * 0.25);
+		}
+	}
+
+	// Forget anything which has scrolled off the timeline
+	_trim(row){
+		const now = row.input.opts.clock.now();
+		const span = this.opts.timeline_span;
+		row.presses = row.presses.filter(p => (p.up === null) || (now - p.up < span + row.input.opts.double_press_threshold));
+		row.fires = row.fires.filter(f => now - f.time < span);
+	}
+
+	_tick(ctx, x, from, to){
+		ctx.beginPath();
+		ctx.moveTo(x, from);
+		ctx.lineTo(x, to);
+		ctx.stroke();
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Helpers
+
+	_find(name){
+		const row = this._rows.find(r => r.input.opts.name == name);
+		if(!row){
+			console.warn(`No input in tuner called: ${name}`);
+		}
+		return row;
+	}
+
+	_load_storage(){
+		try{
+			return JSON.parse(localStorage.getItem(this.opts.storage_key)) ?? {};
+		}catch{
+			console.warn("Could not retrieve tuner presets from localStorage");
+			return {};
+		}
+	}
+
+	_save_storage(stored){
+		try{
+			localStorage.setItem(this.opts.storage_key, JSON.stringify(stored));
+		}catch{
+			// Full, or turned off in private browsing
+			console.warn("Could not save tuner presets to localStorage");
+		}
+	}
+}
@@ -0,0 +1,243 @@
+//  ***********************************************
+//  ***********************************************
+//  Keymap
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Creates and binds a set of Input objects from one keymap definition (JSON),
+//  with a "press a key to bind" mode to change bindings at runtime, saved to localStorage.
+//  Requires Input.js
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const keymap = new Keymap({
+//    container: document.querySelector(".proto"),  // Only listen for keys while focus is in here, leave out for whole page
+//    storage_key: 'keymap',                         // localStorage key to save rebinds to, false to disable
+//    defaults: {long_press_threshold: 600},          // Options to give every Input
+//    map: {
+//      "Play": {"keys": ["Space", "KeyP"], "dom": "#play-btn"},
+//      "Next": {"keys": "ArrowRight", "discrete_keys": {"single": "n"}},
+//      "Mute": {"keys": "Ctrl+KeyM"}
+//    },
+//    fire: (name, type, meta) => console.log(name, type)   // Callback for any press on any input
+//  });
+//
+//  Each entry in the map becomes an Input. keys is passed as the key option, see Input.js for the binding format.
+//  Any other Input options can be set in the entry too, dom can be a selector string.
+//
+//  Public methods:
+//
+//    get(name)               -> Returns the Input for that name
+//    set_keys(name, keys)    -> Change the bindings for an input, and save them
+//    rebind(name, append)    -> Wait for the next key press and bind it to the input (Escape to cancel)
+//                               Returns a Promise of the new binding, or null if cancelled
+//                               Pass append = true to add to the existing bindings rather than replace them
+//    reset(name)             -> Go back to the bindings from the map, for one input or leave out name for all
+//    to_json()               -> Returns the keymap with current bindings, ready to save or pass back in as map
+//    remove()                -> Remove all the inputs and handlers
+//
+//  Public properties:
+//
+//    inputs  -> Object of Input objects, by name
+//
+//  ***********************************************
+
+class Keymap{
+
+	// Default options are below
+	_default_opts = {
+		map: {},
+		container: null,
+		storage_key: 'keymap',
+		defaults: {},
+		fire: (name, type, meta) => {},
+
+		rebinding_class: 'rebinding'		// Class added to the input's dom while waiting for a key
+	};
+
+	inputs = {};
+
+	_rebind_listener = null;
+	_rebind_resolve = null;
+
+	constructor(opts){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		const saved = this._load();
+
+		for(const name in this.opts.map){
+			const {keys, ...entry} = this.opts.map[name];
+
+			let dom = entry.dom;
+			if(typeof dom == 'string'){
+				dom = (this.opts.container ?? document).querySelector(dom);
+			}
+
+			this.inputs[name] = new Input({
+				...this.opts.defaults,
+				...entry,
+				name: name,
+				dom: dom,
+				key: saved[name] ?? keys,
+				key_scope: this.opts.container,
+				fire: (type, meta) => this.opts.fire(name, type, meta)
+			});
+		}
+	}
+
+	// Returns the Input for a name
+	get(name){
+		return this.inputs[name];
+	}
+
+	// Change the bindings for an input
+	set_keys(name, keys){
+		const input = this.inputs[name];
+		if(!input){
+			console.warn(`No input in keymap called: ${name}`);
+			return;
+		}
+		input.set_keys([].concat(keys));
+		this._save();
+	}
+
+	// Wait for the next key and bind it to the input
+	rebind(name, append = false){
+		const input = this.inputs[name];
+		if(!input){
+			console.warn(`No input in keymap called: ${name}`);
+			return Promise.resolve(null);
+		}
+		this._stop_rebind(null);
+
+		if(input.opts.dom){
+			input.opts.dom.classList.add(this.opts.rebinding_class);
+		}
+
+		return new Promise(resolve => {
+			this._rebind_resolve = (binding) => {
+				if(input.opts.dom){
+					input.opts.dom.classList.remove(this.opts.rebinding_class);
+				}
+				resolve(binding);
+			};
+
+			// Listen on window in the capture phase, so the key doesn't also press any inputs
+			this._rebind_listener = (e) => {
+				e.preventDefault();
+				e.stopImmediatePropagation();
+
+				// Wait for a real key, modifiers on their own are only part of the binding
+				if(['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)){
+					return;
+				}
+				if(e.key == 'Escape'){
+					this._stop_rebind(null);
+					return;
+				}
+
+				const binding = this._binding_from_event(e);
+				const keys = append ? [...new Set([...[].concat(input.opts.key ?? []), binding])] : [binding];
+				this.set_keys(name, keys);
+				this._stop_rebind(binding);
+			};
+			window.addEventListener('keydown', this._rebind_listener, true);
+		});
+	}
+
+	// Go back to the original bindings
+	reset(name){
+		if((name !== undefined) && !this.inputs[name]){
+			console.warn(`No input in keymap called: ${name}`);
+			return;
+		}
+		const names = (name === undefined) ? Object.keys(this.inputs) : [name];
+		for(const n of names){
+			this.inputs[n].set_keys(this.opts.map[n].keys);
+		}
+		this._save();
+	}
+
+	// Current keymap, with any rebinds
+	to_json(){
+		const map = {};
+		for(const name in this.opts.map){
+			map[name] = {...this.opts.map[name], keys: this.inputs[name].opts.key};
+		}
+		return JSON.stringify(map);
+	}
+
+	// Remove all inputs
+	remove(){
+		this._stop_rebind(null);
+		for(const name in this.inputs){
+			this.inputs[name].remove();
+		}
+		this.inputs = {};
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Internals
+
+	// Build a binding string from a key press, e.g. "Ctrl+Shift+KeyK"
+	_binding_from_event(e){
+		const parts = [];
+		if(e.ctrlKey) parts.push('Ctrl');
+		if(e.altKey) parts.push('Alt');
+		if(e.shiftKey) parts.push('Shift');
+		if(e.metaKey) parts.push('Meta');
+		parts.push(e.code || e.key);
+		return parts.join('+');
+	}
+
+	_stop_rebind(binding){
+		if(this._rebind_listener){
+			window.removeEventListener('keydown', this._rebind_listener, true);
+			this._rebind_listener = null;
+		}
+		if(this._rebind_resolve){
+			this._rebind_resolve(binding);
+			this._rebind_resolve = null;
+		}
+	}
+
+	// Load saved bindings from localStorage
+	_load(){
+		if(!this.opts.storage_key){
+			return {};
+		}
+		try{
+			return JSON.parse(localStorage.getItem(this.opts.storage_key)) ?? {};
+		}catch{
+			console.warn("Could not retrieve keymap from localStorage");
+			return {};
+		}
+	}
+
+	// Save bindings which differ from the map to localStorage
+	_save(){
+		if(!this.opts.storage_key){
+			return;
+		}
+		const saved = {};
+		for(const name in this.inputs){
+			const keys = [].concat(this.inputs[name].opts.key ?? []);
+			if(JSON.stringify(keys) != JSON.stringify([].concat(this.opts.map[name].keys ?? []))){
+				saved[name] = keys;
+			}
+		}
+		try{
+			localStorage.setItem(this.opts.storage_key, JSON.stringify(saved));
+		}catch{
+			// Full, or turned off in private browsing, so the bindings only last until the page reloads
+			console.warn("Could not save keymap to localStorage");
+		}
+	}
+}
@@ -0,0 +1,411 @@
+//  ***********************************************
+//  ***********************************************
+//  LogPlotter
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Live plotting panel for numbers in Logger entries, like the Arduino Serial Plotter.
+//  Picks out key/value pairs from messages (e.g. "temp=23.4,accel=0.12") and from each entry's data,
+//  and draws them as scrolling time series on a canvas.
+//  Use with Logger.js, and include the Logger.css for styling.
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const plotter = new LogPlotter({
+//    logger: logger,                                  // Logger to plot from
+//    container: document.querySelector(".plot"),      // Element to put the plot in
+//    span: 10000,                                     // How many ms of history to show
+//    keys: null,                                      // Only plot these keys, or null for every number found
+//    source: 'both'                                   // Where to look for numbers: 'msg', 'data' or 'both'
+//  });
+//
+//  Controls under the plot pause it, zoom in and out (or use the mouse wheel over the plot),
+//  turn each series on and off, and download the plot as a PNG or the numbers as a CSV.
+//
+//  Public methods:
+//
+//    pause() / resume() / toggle_pause()  -> Freeze the plot, numbers are still collected while paused
+//    zoom(factor)                         -> Multiply the time span, e.g. 0.5 to zoom in
+//    set_series(key, visible)             -> Show or hide a series
+//    clear()                              -> Remove all the numbers
+//    download_png() / download_csv()      -> Save the plot or the numbers
+//    remove()                             -> Stop plotting and remove the panel
+//
+//  Public properties:
+//
+//    series  -> Map of key to {points: [{t, v}], colour, visible}
+//
+//  ***********************************************
+
+class LogPlotter{
+
+	// Default options are below
+	_default_opts = {
+		logger: null,
+		container: null,
+		span: 10000,
+		min_span: 500,
+		max_span: 600000,
+		keys: null,
+		source: 'both',
+		max_points: 10000,				// Per series, oldest are dropped
+		min: null,							// Fixed y axis range, or null to fit the visible numbers
+		max: null,
+		colours: ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'],
+		filename_prefix: 'plot_'
+	};
+
+	// "key=1.5", "key: -2", "key=3e-4"
+	_pair_regex = /([A-Za-z_][\w.\-]*)\s*[=:]\s*([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)/g;
+
+	series = new Map();
+
+	paused = false;
+	_paused_at = null;
+	_drawing = false;
+
+	constructor(opts){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		if(!this.opts.logger || !this.opts.container){
+			console.warn("LogPlotter needs a logger and a container");
+			return;
+		}
+
+		this._build();
+
+		// Plot what's already logged, then anything new
+		for(const entry of this.opts.logger.entries){
+			for(const time of this.opts.logger._times(entry)){
+				this._add_entry(entry, time);
+			}
+		}
+		this._onEntry = (entry) => this._add_entry(entry);
+		this._onRepeat = (entry) => this._add_entry(entry, entry.last_time);
+		this._onClear = () => this.clear();
+		this.opts.logger.on('entry', this._onEntry);
+		this.opts.logger.on('repeat', this._onRepeat);
+		this.opts.logger.on('clear', this._onClear);
+
+		this._start_drawing();
+	}
+
+	pause(){
+		this.paused = true;
+
+		// Stop at the newest numbers if they are older than the span, e.g. for an imported log
+		const now = Date.now();
+		const latest = this._latest();
+		this._paused_at = (now - latest > this.opts.span) ? latest : now;
+		this._pause_btn.textContent = '▶';
+		this._pause_btn.title = 'Resume';
+	}
+	resume(){
+		this.paused = false;
+		this._paused_at = null;
+		this._pause_btn.textContent = '⏸';
+		this._pause_btn.title = 'Pause';
+		this._start_drawing();
+	}
+	toggle_pause(){
+		if(this.paused){
+			this.resume();
+		}else{
+			this.pause();
+		}
+	}
+
+	// Change the time span shown
+	zoom(factor){
+		this.opts.span = Math.min(this.opts.max_span, Math.max(this.opts.min_span, this.opts.span * factor));
+		this._draw();
+	}
+
+	// Show or hide a series
+	set_series(key, visible){
+		const series = this.series.get(key);
+		if(!series){
+			return;
+		}
+		series.visible = visible;
+		series.button.classList.toggle('active', visible);
+		this._draw();
+	}
+
+	clear(){
+		this.series.clear();
+		this._series_bar.innerHTML = '';
+		this._draw();
+	}
+
+	download_png(){
+		this.canvas.toBlob(blob => this._download(blob, 'png'));
+	}
+
+	// One row per time, one column per series
+	download_csv(){
+		const keys = [...this.series.keys()];
+		const rows = new Map();
+		keys.forEach((key, i) => {
+			for(const point of this.series.get(key).points){
+				if(!rows.has(point.t)){
+					rows.set(point.t, new Array(keys.length).fill(''));
+				}
+				rows.get(point.t)[i] = point.v;
+			}
+		});
+
+		const quote = (field) => /[",\r\n]/.test(field) ? `"${field.replaceAll('"', '""')}"` : field;
+		let csv = `${['Timestamp', 'Time diff', ...keys].map(quote).join(',')}\r\n`;
+		for(const t of [...rows.keys()].sort((a, b) => a - b)){
+			csv += `${[t, t - this.opts.logger.start_time, ...rows.get(t)].join(',')}\r\n`;
+		}
+		this._download(new Blob([csv], {type: 'text/csv;charset=utf-8'}), 'csv');
+	}
+
+	remove(){
+		this._drawing = false;
+		this.opts.logger.off('entry', this._onEntry);
+		this.opts.logger.off('repeat', this._onRepeat);
+		this.opts.logger.off('clear', this._onClear);
+		this.panel.remove();
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Collecting numbers
+
+	// Repeated entries are added again at the time of each repeat
+	_add_entry(entry, time = entry.time){
+		const t = time.getTime();
+		const values = {};
+
+		if(this.opts.source != 'data'){
+			this._pair_regex.lastIndex = 0;
+			const text = this.opts.logger._entry_text(entry);
+			let match;
+			while((match = this._pair_regex.exec(text)) !== null){
+				values[match[1]] = parseFloat(match[2]);
+			}
+		}
+		if(this.opts.source != 'msg'){
+			for(const key in entry.data){
+				const value = entry.data[key];
+				if((value !== '') && (value !== null) && !isNaN(value)){
+					values[key] = Number(value);
+				}
+			}
+		}
+
+		for(const key in values){
+			if(this.opts.keys && !this.opts.keys.includes(key)){
+				continue;
+			}
+			const series = this.series.get(key) ?? this._add_series(key);
+			series.points.push({t: t, v: values[key]});
+			if(series.points.length > this.opts.max_points){
+				series.points.splice(0, series.points.length - this.opts.max_points);
+			}
+		}
+	}
+
+	_add_series(key){
+		const colour = this.opts.colours[this.series.size % this.opts.colours.length];
+
+		const button = document.createElement('button');
+		button.classList.add('active');
+		button.style.setProperty('--series-colour', colour);
+		button.textContent = key;
+		button.addEventListener('click', () => this.set_series(key, !this.series.get(key).visible));
+		this._series_bar.append(button);
+
+		const series = {points: [], colour: colour, visible: true, button: button};
+		this.series.set(key, series);
+		return series;
+	}
+
+	// Newest time across all series
+	_latest(){
+		let latest = 0;
+		for(const series of this.series.values()){
+			const last = series.points[series.points.length-1];
+			if(last && (last.t > latest)){
+				latest = last.t;
+			}
+		}
+		return latest || Date.now();
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Drawing
+
+	_build(){
+		this.panel = document.createElement('div');
+		this.panel.classList.add('log-plotter');
+		this.panel.innerHTML = `
+			<canvas></canvas>
+			<div class="log-plotter-controls">
+				<button data-action="pause" title="Pause">⏸</button>
+				<button data-action="zoom-in" title="Zoom in">＋</button>
+				<button data-action="zoom-out" title="Zoom out">－</button>
+				<button data-action="png" title="Download as PNG">PNG</button>
+				<button data-action="csv" title="Download as CSV">CSV</button>
+				<div class="log-plotter-series"></div>
+			</div>`;
+		this.opts.container.append(this.panel);
+
+		this.canvas = this.panel.querySelector('canvas');
+		this._pause_btn = this.panel.querySelector('[data-action="pause"]');
+		this._series_bar = this.panel.querySelector('.log-plotter-series');
+
+		this.panel.querySelector('.log-plotter-controls').addEventListener('click', (e) => {
+			switch(e.target.dataset.action){
+				case 'pause':
+					this.toggle_pause();
+					break;
+				case 'zoom-in':
+					this.zoom(0.5);
+					break;
+				case 'zoom-out':
+					this.zoom(2);
+					break;
+				case 'png':
+					this.download_png();
+					break;
+				case 'csv':
+					this.download_csv();
+					break;
+			}
+		});
+
+		this.canvas.addEventListener('wheel', (e) => {
+			e.preventDefault();
+			this.zoom(e.deltaY > 0 ? 1.25 : 0.8);
+		}, {passive: false});
+	}
+
+	// Redraw on each frame while running, paused plots only redraw when something changes
+	_start_drawing(){
+		if(this._drawing){
+			return;
+		}
+		this._drawing = true;
+		const frame = () => {
+			if(!this._drawing || this.paused){
+				this._drawing = false;
+				return;
+			}
+			this._draw();
+			window.requestAnimationFrame(frame);
+		};
+		window.requestAnimationFrame(frame);
+	}
+
+	_draw(){
+		const canvas = this.canvas;
+
+		// Match canvas resolution to its size on screen
+		const ratio = window.devicePixelRatio || 1;
+		const width = canvas.clientWidth;
+		const height = canvas.clientHeight;
+		if((canvas.width != width * ratio) || (canvas.height != height * ratio)){
+			canvas.width = width * ratio;
+			canvas.height = height * ratio;
+		}
+		const ctx = canvas.getContext('2d');
+		ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+		// Solid background, so PNG exports aren't transparent
+		ctx.fillStyle = '#ffffff';
+		ctx.fillRect(0, 0, width, height);
+
+		const end = this.paused ? this._paused_at : Date.now();
+		const start = end - this.opts.span;
+		const plot = {left: 50, right: width - 10, top: 10, bottom: height - 20};
+
+		// Fit the y axis to what's in view
+		let min = Infinity;
+		let max = -Infinity;
+		for(const series of this.series.values()){
+			if(!series.visible) continue;
+			for(const point of series.points){
+				if(point.t < start) continue;
+				min = Math.min(min, point.v);
+				max = Math.max(max, point.v);
+			}
+		}
+		min = this.opts.min ?? (isFinite(min) ? min : 0);
+		max = this.opts.max ?? (isFinite(max) ? max : 1);
+		if(min == max){
+			min -= 1;
+			max += 1;
+		}
+
+		const x = (t) => plot.left + ((t - start) / this.opts.span) * (plot.right - plot.left);
+		const y = (v) => plot.bottom - ((v - min) / (max - min)) * (plot.bottom - plot.top);
+
+		// Grid and labels
+		ctx.strokeStyle = 'rgba(0,0,0,0.1)';
+		ctx.fillStyle = 'rgba(0,0,0,0.6)';
+		ctx.font = '10px monospace';
+		ctx.lineWidth = 1;
+		ctx.textAlign = 'right';
+		ctx.textBaseline = 'middle';
+		for(let i = 0; i <= 4; i++){
+			const v = min + ((max - min) * i / 4);
+			ctx.beginPath();
+			ctx.moveTo(plot.left, y(v));
+			ctx.lineTo(plot.right, y(v));
+			ctx.stroke();
+			ctx.fillText(Number(v.toPrecision(4)).toString(), plot.left - 5, y(v));
+		}
+		ctx.textAlign = 'center';
+		ctx.textBaseline = 'top';
+		for(let i = 0; i <= 4; i++){
+			const t = start + (this.opts.span * i / 4);
+			ctx.fillText(`${((t - end) / 1000).toFixed(1)}s`, x(t), plot.bottom + 5);
+		}
+
+		// Each series, clipped to the plot area
+		ctx.save();
+		ctx.beginPath();
+		ctx.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+		ctx.clip();
+		ctx.lineWidth = 1.5;
+		for(const series of this.series.values()){
+			if(!series.visible) continue;
+			ctx.strokeStyle = series.colour;
+			ctx.beginPath();
+			let started = false;
+			for(let i = 0; i < series.points.length; i++){
+				const point = series.points[i];
+				// Include one point either side, so lines run off the edges
+				const next = series.points[i+1];
+				if(next && (next.t < start)) continue;
+				if((i > 0) && (series.points[i-1].t > end)) break;
+				if(started){
+					ctx.lineTo(x(point.t), y(point.v));
+				}else{
+					ctx.moveTo(x(point.t), y(point.v));
+					started = true;
+				}
+			}
+			ctx.stroke();
+		}
+		ctx.restore();
+	}
+
+	_download(blob, suffix){
+		const link = document.createElement('a');
+		link.href = URL.createObjectURL(blob);
+		link.download = `${this.opts.filename_prefix}${Math.round(Date.now()/1000)}.${suffix}`;
+		link.click();
+		URL.revokeObjectURL(link.href);
+	}
+}
@@ -0,0 +1,306 @@
+//  ***********************************************
+//  ***********************************************
+//  LogSink
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Forwards Logger entries as JSON to a WebSocket or an HTTP endpoint,
+//  so a prototype running on a phone or an embedded browser can be watched from a laptop.
+//  Entries are buffered while the connection is down, and sent once it comes back.
+//  Use with Logger.js, and LogViewer.js to show the stream on another machine.
+//  tools/log-relay.js is a small WebSocket server for trying it out locally.
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const logger = new Logger({
+//    container: document.querySelector(".log"),
+//    sinks: [
+//      new LogSink({url: 'ws://192.168.1.20:8080'}),          // Sent as they arrive over a WebSocket
+//      new LogSink({url: 'https://example.com/logs', source: 'Kiosk 2'})  // POSTed in batches
+//    ]
+//  });
+//
+//  Messages are JSON, and each one is either:
+//    {type: 'entries', source, start_time, entries: [...]}   // Entries in the same format as Logger's json export, with an id
+//    {type: 'clear', source, start_time}                      // The log was cleared
+//  An entry is sent again with the same id when it changes, e.g. a repeat is counted or a note is added.
+//
+//  Public methods:
+//
+//    attach(logger)  -> Start forwarding a Logger's entries, done for you by the sinks option
+//    detach()        -> Stop forwarding
+//    put(record)     -> Queue an entry record to send, ignored once closed
+//    flush()         -> Send whatever is queued straight away
+//    close()         -> Send what's left, then disconnect
+//
+//  Public properties:
+//
+//    connected  -> Is the WebSocket open (always true for HTTP)
+//    dropped    -> Number of entries thrown away because the buffer was full
+//
+//  ***********************************************
+
+class LogSink{
+
+	// Default options are below
+	_default_opts = {
+		url: null,
+		transport: null,				// 'websocket' or 'http', defaults from the url
+		source: null,					// Name of this device, defaults to the page's host and user agent
+		flush_interval: 250,			// How often batches are sent (ms)
+		batch_size: 200,				// Most entries in one message
+		max_buffer: 5000,				// Most entries kept while offline, oldest are dropped past this
+		reconnect_delay: 1000,		// First wait before reconnecting or retrying (ms), doubles each time
+		max_reconnect_delay: 30000,
+		headers: {'Content-Type': 'application/json'},	// Extra headers for HTTP
+		onConnect: () => {},
+		onDisconnect: () => {}
+	};
+
+	connected = false;
+	dropped = 0;
+
+	_logger = null;
+	_queue = [];
+	_flush_timer = null;
+	_socket = null;
+	_retry_delay = null;
+	_retry_timer = null;
+	_sending = false;
+	_closed = false;
+
+	constructor(opts = {}){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		if(!this.opts.url){
+			console.warn("No url for log sink specified");
+		}
+		this.opts.transport = this.opts.transport ?? (/^wss?:/i.test(this.opts.url) ? 'websocket' : 'http');
+		this.opts.source = this.opts.source ?? `${window.location.host} ${navigator.userAgent}`;
+		this._retry_delay = this.opts.reconnect_delay;
+
+		if(this.opts.transport == 'websocket'){
+			this._connect();
+		}else{
+			this.connected = true;
+		}
+
+		// Try again as soon as the network is back
+		this._onOnline = () => {
+			if(this._closed){
+				return;
+			}
+			this._retry_delay = this.opts.reconnect_delay;
+			if(this.opts.transport == 'websocket'){
+				this._reconnect_now();
+			}else{
+				this.flush();
+			}
+		};
+		window.addEventListener('online', this._onOnline);
+
+		// Last chance to send anything waiting
+		this._onPageHide = () => {
+			if(!this._closed){
+				this._send_beacon();
+			}
+		};
+		window.addEventListener('pagehide', this._onPageHide);
+	}
+
+	// Forward a Logger's entries
+	attach(logger){
+		this.detach();
+		this._logger = logger;
+
+		this._onRecord = (record) => this.put(record);
+		logger.on('record', this._onRecord);
+
+		// Queued, so it arrives after the entries logged before it
+		this._onClear = () => {
+			this._queue.push({clear: true});
+			this.flush();
+		};
+		logger.on('clear', this._onClear);
+	}
+
+	detach(){
+		if(this._logger){
+			this._logger.off('record', this._onRecord);
+			this._logger.off('clear', this._onClear);
+			this._logger = null;
+		}
+	}
+
+	// Queue an entry record to send, from Logger
+	put(record){
+		if(this._closed){
+			return;
+		}
+
+		// Changes to an entry which is still waiting replace it
+		const waiting = this._queue.findLastIndex(r => r.clear || (r.id == record.id));
+		if((waiting >= 0) && !this._queue[waiting].clear){
+			this._queue[waiting] = record;
+		}else{
+			this._queue.push(record);
+		}
+
+		if(this._queue.length > this.opts.max_buffer){
+			this.dropped += this._queue.length - this.opts.max_buffer;
+			this._queue.splice(0, this._queue.length - this.opts.max_buffer);
+		}
+		if(this._flush_timer === null){
+			this._flush_timer = setTimeout(() => this.flush(), this.opts.flush_interval);
+		}
+	}
+
+	// Send what's queued, one batch at a time
+	async flush(){
+		clearTimeout(this._flush_timer);
+		this._flush_timer = null;
+		if(this._sending || !this.connected){
+			return;
+		}
+
+		this._sending = true;
+		while(this._queue.length && this.connected){
+			let batch;
+			let message;
+			if(this._queue[0].clear){
+				batch = [this._queue[0]];
+				message = {type: 'clear', source: this.opts.source, start_time: this._logger?.start_time ?? null};
+			}else{
+				const end = this._queue.findIndex(r => r.clear);
+				batch = this._queue.slice(0, Math.min((end < 0) ? Infinity : end, this.opts.batch_size));
+				message = this._batch(batch);
+			}
+			const sent = await this._send_message(message);
+			if(!sent){
+				break;
+			}
+			// Anything put while sending stays queued
+			this._queue = this._queue.filter(record => !batch.includes(record));
+		}
+		this._sending = false;
+	}
+
+	// Send what's left, then disconnect
+	async close(){
+		this.detach();
+		await this.flush();
+		this._closed = true;
+		window.removeEventListener('online', this._onOnline);
+		window.removeEventListener('pagehide', this._onPageHide);
+		clearTimeout(this._retry_timer);
+		if(this._socket){
+			this._socket.close();
+		}
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Sending
+
+	_batch(records){
+		return {
+			type: 'entries',
+			source: this.opts.source,
+			start_time: this._logger?.start_time ?? null,
+			entries: records
+		};
+	}
+
+	// Resolves true once a message is sent, or false if it will need sending again
+	async _send_message(message){
+		if(this.opts.transport == 'websocket'){
+			if(!this._socket || (this._socket.readyState != WebSocket.OPEN)){
+				return false;
+			}
+			this._socket.send(JSON.stringify(message));
+			return true;
+		}
+
+		try{
+			const response = await fetch(this.opts.url, {
+				method: 'POST',
+				headers: this.opts.headers,
+				body: JSON.stringify(message)
+			});
+			if(!response.ok){
+				throw new Error(`${response.status} ${response.statusText}`);
+			}
+			this._retry_delay = this.opts.reconnect_delay;
+			return true;
+		}catch(e){
+			// Offline or the server is down, so keep the entries and try again later
+			this._retry(() => this.flush());
+			return false;
+		}
+	}
+
+	// sendBeacon keeps going after the page has closed, but only for HTTP
+	_send_beacon(){
+		if((this.opts.transport != 'http') || !this._queue.length || !navigator.sendBeacon){
+			return;
+		}
+		if(navigator.sendBeacon(this.opts.url, JSON.stringify(this._batch(this._queue.filter(r => !r.clear))))){
+			this._queue = [];
+		}
+	}
+
+	_retry(action){
+		if(this._retry_timer !== null || this._closed){
+			return;
+		}
+		this._retry_timer = setTimeout(() => {
+			this._retry_timer = null;
+			action();
+		}, this._retry_delay);
+		this._retry_delay = Math.min(this._retry_delay * 2, this.opts.max_reconnect_delay);
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// WebSocket
+
+	_connect(){
+		try{
+			this._socket = new WebSocket(this.opts.url);
+		}catch(e){
+			console.warn(`Could not connect log sink: ${e.message}`);
+			this._retry(() => this._connect());
+			return;
+		}
+
+		this._socket.addEventListener('open', () => {
+			this.connected = true;
+			this._retry_delay = this.opts.reconnect_delay;
+			this.opts.onConnect();
+			this.flush();
+		});
+		this._socket.addEventListener('close', () => {
+			const was_connected = this.connected;
+			this.connected = false;
+			this._socket = null;
+			if(was_connected){
+				this.opts.onDisconnect();
+			}
+			this._retry(() => this._connect());
+		});
+	}
+
+	_reconnect_now(){
+		if(this._socket || this._closed){
+			return;
+		}
+		clearTimeout(this._retry_timer);
+		this._retry_timer = null;
+		this._connect();
+	}
+}
@@ -0,0 +1,241 @@
+//  ***********************************************
+//  ***********************************************
+//  LogStore
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Saves Logger entries to IndexedDB as they arrive, grouped into named sessions,
+//  so a log survives the page reloading or the tab crashing during a long test session.
+//  Use with Logger.js
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  const logger = new Logger({
+//    container: document.querySelector(".log"),
+//    store: new LogStore(),          // Save entries as they are logged
+//    session: "Participant 4",       // Name for this session, defaults to the date and time
+//    resume: true                    // Carry on with the last session rather than starting a new one, e.g. after a crash
+//  });
+//
+//  const sessions = await logger.store.sessions();   // [{id, name, start_time, updated_at, count}], newest first
+//  await logger.open_session(sessions[1].id);        // Show an old session in the log, new entries are added to it
+//  const json = await logger.store.export_session(id);  // Same as logger.export_log({type: 'json'}) for the session
+//  await logger.store.delete_session(id);
+//
+//  Public methods (all return Promises):
+//
+//    sessions()                        -> List the saved sessions
+//    start_session(name, start_time)   -> Start a new session, returns its id
+//    entries(id)                       -> Returns the saved entries for a session, oldest first
+//    export_session(id)                -> Returns a session as a json string, which Logger.import_log() can load
+//    delete_session(id)                -> Delete a session and its entries
+//    flush()                           -> Write any waiting entries straight away
+//    close()                           -> Write any waiting entries, then stop
+//
+//  If a write fails (e.g. the disk is full), the entries are kept and the error is in store.error.
+//  Nothing more is written by itself after that, but calling flush() tries again, and everything waiting is written once it works.
+//
+//  ***********************************************
+
+class LogStore{
+
+	// Default options are below
+	_default_opts = {
+		db_name: 'logger',
+		flush_interval: 250,			// Entries are written in batches, this often (ms)
+		warn: null						// Where warnings go, defaults to console.warn. Logger sets this so they aren't captured
+	};
+
+	error = null;
+
+	_db = null;
+	_queue = new Map();			// Records waiting to be written, by session and id
+	_flush_timer = null;
+
+	constructor(opts = {}){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		if(!window.indexedDB){
+			this._warn("IndexedDB isn't supported in this browser, logs won't be saved");
+		}
+
+		// Write whatever is waiting before the page goes away
+		this._onPageHide = () => this.flush().catch(e => this._failed(e));
+		window.addEventListener('pagehide', this._onPageHide);
+	}
+
+	// List sessions, newest first
+	async sessions(){
+		const db = await this._open();
+		const sessions = await this._request(db.transaction('sessions').objectStore('sessions').getAll());
+		return sessions.sort((a, b) => b.start_time - a.start_time);
+	}
+
+	// Start a new session, returns its id
+	async start_session(name, start_time = Date.now()){
+		const db = await this._open();
+		return this._request(db.transaction('sessions', 'readwrite').objectStore('sessions').add({
+			name: name,
+			start_time: start_time,
+			updated_at: start_time,
+			count: 0
+		}));
+	}
+
+	// Look up a session
+	async session(id){
+		const db = await this._open();
+		return this._request(db.transaction('sessions').objectStore('sessions').get(id));
+	}
+
+	// Saved entries for a session, oldest first
+	async entries(id){
+		await this.flush();
+		const db = await this._open();
+		const range = IDBKeyRange.bound([id, -Infinity], [id, Infinity]);
+		return this._request(db.transaction('entries').objectStore('entries').getAll(range));
+	}
+
+	// Session in the same format as Logger's json export
+	async export_session(id){
+		const session = await this.session(id);
+		if(!session){
+			this._warn(`No saved log session: ${id}`);
+			return null;
+		}
+		const entries = await this.entries(id);
+		return JSON.stringify({
+			version: 1,
+			name: session.name,
+			start_time: session.start_time,
+			entries: entries.map(({session: session_id, ...record}) => record)
+		});
+	}
+
+	// Delete a session and its entries
+	async delete_session(id){
+		await this.flush();
+		const db = await this._open();
+		const tx = db.transaction(['sessions', 'entries'], 'readwrite');
+		tx.objectStore('sessions').delete(id);
+		tx.objectStore('entries').delete(IDBKeyRange.bound([id, -Infinity], [id, Infinity]));
+		return this._complete(tx);
+	}
+
+	// Save an entry, or update it if it has been saved already
+	// Records come from Logger, and need an id which is unique within the session
+	put(session_id, record){
+		// Changes to an entry which is still waiting replace it
+		this._queue.set(`${session_id}:${record.id}`, {...record, session: session_id});
+
+		// After a failure, only write when asked to
+		if((this._flush_timer === null) && !this.error){
+			this._flush_timer = setTimeout(() => this.flush().catch(e => this._failed(e)), this.opts.flush_interval);
+		}
+	}
+
+	// Write waiting entries in one transaction
+	async flush(){
+		clearTimeout(this._flush_timer);
+		this._flush_timer = null;
+		if(this._queue.size == 0){
+			return;
+		}
+		const queue = this._queue;
+		this._queue = new Map();
+
+		try{
+			await this._write([...queue.values()]);
+			this.error = null;
+		}catch(e){
+			// Put them back in front of anything put since, which is newer
+			for(const [key, record] of this._queue){
+				queue.set(key, record);
+			}
+			this._queue = queue;
+			throw e;
+		}
+	}
+
+	// Write what's left, and stop saving when the page closes
+	async close(){
+		window.removeEventListener('pagehide', this._onPageHide);
+		await this.flush();
+	}
+
+	_warn(msg){
+		(this.opts.warn ?? console.warn)(msg);
+	}
+
+	_failed(e){
+		if(!this.error){
+			this._warn(`Could not save log entries, ${this._queue.size} waiting: ${e.message}`);
+		}
+		this.error = e;
+	}
+
+	async _write(records){
+		const db = await this._open();
+		const tx = db.transaction(['sessions', 'entries'], 'readwrite');
+		const entries = tx.objectStore('entries');
+		for(const record of records){
+			entries.put(record);
+		}
+
+		// Keep the session's count and last update up to date, for listing
+		const sessions = tx.objectStore('sessions');
+		for(const id of new Set(records.map(r => r.session))){
+			const session = await this._request(sessions.get(id));
+			if(!session) continue;
+			session.count = await this._request(entries.count(IDBKeyRange.bound([id, -Infinity], [id, Infinity])));
+			session.updated_at = Math.max(session.updated_at, ...records.filter(r => r.session == id).map(r => r.timestamp));
+			sessions.put(session);
+		}
+		return this._complete(tx);
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// IndexedDB helpers
+
+	_open(){
+		if(!this._db){
+			this._db = new Promise((resolve, reject) => {
+				const request = window.indexedDB.open(this.opts.db_name, 1);
+				request.onupgradeneeded = () => {
+					const db = request.result;
+					db.createObjectStore('sessions', {keyPath: 'id', autoIncrement: true});
+					db.createObjectStore('entries', {keyPath: ['session', 'id']});
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => {
+					// Let the next try open it again
+					this._db = null;
+					reject(request.error);
+				};
+			});
+		}
+		return this._db;
+	}
+
+	_request(request){
+		return new Promise((resolve, reject) => {
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+	}
+
+	_complete(tx){
+		return new Promise((resolve, reject) => {
+			tx.oncomplete = () => resolve();
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error);
+		});
+	}
+}
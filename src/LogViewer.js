@@ -0,0 +1,196 @@
+//  ***********************************************
+//  ***********************************************
+//  LogViewer
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Shows the entries streamed from a LogSink on another device in a Logger on this page,
+//  with their original times, classes and data. Reconnects by itself if the connection drops.
+//  Use with Logger.js. Run tools/log-relay.js to pass entries from the sinks to viewers.
+//
+//  ***********************************************
+//
+//  Usage:
+//
+//  On the device:
+//    const logger = new Logger({container: ..., sinks: [new LogSink({url: 'ws://laptop.local:8080'})]});
+//
+//  On the laptop, after running: node tools/log-relay.js
+//    const viewer = new LogViewer({
+//      logger: new Logger({container: document.querySelector(".log"), filter_bar: true}),
+//      url: 'ws://localhost:8080/view'
+//    });
+//
+//  Each entry gets data.source, set to the sink's source name, so several devices can stream to one viewer.
+//
+//  Public methods:
+//
+//    close()  -> Disconnect and stop reconnecting
+//
+//  Public properties:
+//
+//    connected  -> Is the WebSocket open
+//
+//  ***********************************************
+
+class LogViewer{
+
+	// Default options are below
+	_default_opts = {
+		logger: null,
+		url: null,
+		follow_clear: false,			// Clear this log when a device clears its log, otherwise just note it
+		reconnect_delay: 1000,		// First wait before reconnecting (ms), doubles each time
+		max_reconnect_delay: 30000,
+		onConnect: () => {},
+		onDisconnect: () => {}
+	};
+
+	connected = false;
+
+	_socket = null;
+	_entries = new Map();		// Entries already shown, by source and id
+	_groups = new Map();			// Open groups for each source
+	_retry_delay = null;
+	_retry_timer = null;
+	_closed = false;
+
+	constructor(opts){
+
+		// Merge opts with defaults
+		this.opts = {...this._default_opts, ...opts};
+
+		if(!this.opts.logger){
+			console.warn("No logger for log viewer specified");
+			return;
+		}
+		this.logger = this.opts.logger;
+		this.logger.on('clear', () => {
+			this._entries.clear();
+			this._groups.clear();
+		});
+
+		this._retry_delay = this.opts.reconnect_delay;
+		this._connect();
+	}
+
+	close(){
+		this._closed = true;
+		clearTimeout(this._retry_timer);
+		if(this._socket){
+			this._socket.close();
+		}
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Connection
+
+	_connect(){
+		try{
+			this._socket = new WebSocket(this.opts.url);
+		}catch(e){
+			console.warn(`Could not connect log viewer: ${e.message}`);
+			this._reconnect();
+			return;
+		}
+
+		this._socket.addEventListener('open', () => {
+			this.connected = true;
+			this._retry_delay = this.opts.reconnect_delay;
+			this.logger.log(`📡 Viewing log stream from ${this.opts.url}`, {class: 'status'});
+			this.opts.onConnect();
+		});
+		this._socket.addEventListener('message', (e) => {
+			try{
+				this._receive(JSON.parse(e.data));
+			}catch(error){
+				console.warn(`Could not read log stream message: ${error.message}`);
+			}
+		});
+		this._socket.addEventListener('close', () => {
+			this._socket = null;
+			if(this.connected){
+				this.connected = false;
+				this.logger.log(`📡 Lost connection to ${this.opts.url}`, {class: 'status'});
+				this.opts.onDisconnect();
+			}
+			this._reconnect();
+		});
+	}
+
+	_reconnect(){
+		if(this._closed || (this._retry_timer !== null)){
+			return;
+		}
+		this._retry_timer = setTimeout(() => {
+			this._retry_timer = null;
+			this._connect();
+		}, this._retry_delay);
+		this._retry_delay = Math.min(this._retry_delay * 2, this.opts.max_reconnect_delay);
+	}
+
+	// /////////////////////////////////////////////////////////////////
+	// Showing entries
+
+	_receive(message){
+		const source = message.source ?? '';
+		switch(message.type){
+			case 'entries':
+				// Match times shown since the start to the device's, if it's the first to send anything
+				if((this._entries.size == 0) && message.start_time){
+					this.logger.start_time = message.start_time;
+					this.logger.opts.container.dataset.start_time = message.start_time;
+				}
+				for(const record of message.entries){
+					this._show(source, record);
+				}
+				break;
+
+			case 'clear':
+				this._groups.delete(source);
+				for(const key of this._entries.keys()){
+					if(key.startsWith(`${source}:`)){
+						this._entries.delete(key);
+					}
+				}
+				if(this.opts.follow_clear){
+					this.logger.clear();
+				}else{
+					this.logger.log(`📡 ${source} cleared its log`, {class: 'status'});
+				}
+				break;
+
+			default:
+				console.warn(`Log stream message type not recognised: ${message.type}`);
+		}
+	}
+
+	_show(source, record){
+		record = {...record, data: {...record.data, source: source}};
+		const key = `${source}:${record.id}`;
+
+		// Entries are sent again when they change, unless they've since been dropped from the log
+		const entry = this._entries.get(key);
+		if(entry && this.logger.entries.length && (entry.id >= this.logger.entries[0].id)){
+			this.logger.update_record(entry, record);
+			return;
+		}
+
+		if(!this._groups.has(source)){
+			this._groups.set(source, []);
+		}
+		const shown = this.logger.log_record(record, this._groups.get(source));
+		this._entries.set(key, shown);
+
+		// Forget entries the log has dropped
+		if(this._entries.size > this.logger.opts.max_entries * 2){
+			const first = this.logger.entries[0]?.id ?? Infinity;
+			for(const [key, entry] of this._entries){
+				if(entry.id < first) this._entries.delete(key);
+			}
+		}
+	}
+}
@@ -17,7 +17,9 @@
 //    container: document.querySelector(".log-container"), // Container for the log
 //    filters_container: document.querySelector(".filters"),
 //    filters: ['error'],  // Filters to apply from the start
-//    time_mode: 'clock',  // Display mode for time, can be 'clock', 'incremental' or 'timestamp'  
+//    time_mode: 'clock',  // Display mode for time, see Times below
+//    time_precision: 's', // Show times to the second ('s'), millisecond ('ms') or microsecond ('us')
+//    max_entries: 10000,  // Oldest entries are dropped past this many
 //  });
 //  logger.log("Logging begun");
 //
@@ -30,6 +32,8 @@
 //      <a href="#" class="filter-btn" data-filter="status">📡</a>
 //      <a href="#" class="filter-btn" data-filter="errors">⚠️</a>	
 //      <a href="#download" class="action-btn" data-type="txt" data-include-hidden="true" data-include-meta="false">📥</a>	
+//      <a href="#import" class="action-btn">📂</a>
+//      <a href="#marker" class="action-btn">🚩</a>
 //    </nav>
 //  </div>
 //
@@ -40,67 +44,262 @@
 //  All options are optional, except the message itself:
 //
 //  const msg = logger.log("Msg here", {
-//    time: new Date(),   // Time to record log entry for
+//    time: new Date(),   // Time to record log entry for, defaults to now to the microsecond (from performance.now())
 //    char: '>',          // Separator character
 //    colour: '#ff0000',  // Colour styling for text
 //    hover: 'Msg info',  // Hover title text for msg
-//    class: 'status',    // Class to add to log, e.g. for filtering
+//    class: 'status',    // Class (or array of classes) to add to log, e.g. for filtering
 //    data: {             // Data to add to log entry's DOM dataset
 //      "info": "special"
-//    }
+//    },
+//    level: 'info',      // debug, info, warn or error
+//    stack: null,        // Stack trace to show under the message, collapsed to start with
+//    html: false,        // Show msg as HTML rather than text. Only for HTML you trust, not strings from devices
+//    collapse: true,     // Set false to always give this message a row of its own, see collapse_duplicates
+//    rate_limit: true    // Set false to always log this message, see rate_limits
 //  });
 //
-//  download_log(opts)    // Download a copy of the log
+//  The entry is returned, and its classList can still be changed afterwards, e.g. msg.classList.add('is_validated')
+//  ⚠️ log() used to return the <p> element. Rows are now only on the page while scrolled into view, so it returns
+//  the entry object instead, with classList (add, remove, toggle, contains), dataset and style working as before,
+//  e.g. msg.style.color = 'red'. These are kept on the entry and put back on its row whenever it is drawn.
+//  For other DOM changes, use a class and style it with CSS. entry.element is the <p> while it is drawn, or null,
+//  and it is made again each time it scrolls back into view, so changes made to it directly don't last.
 //
+//  Repeats (off unless collapse_duplicates is set):
+//  With collapse_duplicates: true, a message the same as the one before it (same text, class, level and so on)
+//  adds to that entry's repeat counter rather than a new row. The row shows ×count, with the first and last times.
+//  ⚠️ log() then returns the earlier entry, so changing its classList changes the whole row.
+//  It has entry.count, entry.last_time and entry.repeat_times, the precise times of the latest repeats (up to max_repeat_times).
+//  Saving and sending a repeating entry is held back to once every repeat_save_interval.
+//
+//  Rate limits (off unless rate_limits is set), to stop a noisy class from flooding the log:
+//  rate_limits: {status: 20, sensor: {count: 5, per: 500}}   // Most entries per second, or per 'per' ms
+//  Entries over the limit are dropped, and one summary entry per window counts how many were.
+//  ⚠️ log() returns null for a dropped entry.
+//
+//  Groups, like console.group():
+//  group(label, opts)    // Log a header, and indent everything after it until groupEnd(). Groups can be nested
+//  groupEnd()            // Close the latest group
+//  Click a group header's ▾ to collapse it, or pass {collapsed: true} to start collapsed.
+//
+//  Messages are shown as plain text, so device strings with < or markup in them show as they are.
+//  Entries loaded from files, saved sessions or LogViewer streams are always shown as text, even if they were logged as HTML.
+//  For rich messages without writing HTML, pass an array of segments instead of a string:
+//
+//  logger.log([
+//    "Received ",                                          // Plain text
+//    {text: "warning", colour: "orange", bold: true},     // Styled text
+//    {code: "0x1F"},                                       // Monospace code
+//    {badge: "BLE", colour: "#4363d8"},                    // Small label
+//    {link: "https://example.com", text: "docs"},          // Link, opens in a new tab
+//    {json: {temp: 21.5, pins: [1, 2]}},                   // Collapsible object viewer, open: true to start open
+//    {bytes: new Uint8Array([0xAA, 0x01, 0x10])},          // Hex dump, open: true to start open
+//    {html: "<i>trusted</i>"}                              // HTML you trust
+//  ]);
+//  An array with no segment objects in it is shown as text, as before, e.g. logger.log([1, 2, 3]) shows 1,2,3
+//
+//  Byte arrays, DataViews and ArrayBuffers can be logged as they are, e.g. logger.log(packet) or logger.log(["Sent ", packet]).
+//  They show as a byte count and the first few bytes in hex, and open into a hex dump with offsets and ASCII.
+//  They are kept as plain arrays of numbers, so exports have the raw bytes as well as the hex.
+//  A bytes segment which isn't a byte array or a plain array of numbers 0-255 is shown as text. CSV exports have the raw bytes in a last Bytes column.
+//
+//  Markers and notes:
+//  marker(label)          // Mark a moment in the log, e.g. "task 3 start". Leave out the label to type one in
+//  note(entry, text)      // Attach a note to an entry. Double click an entry to type one in
+//  markers()              // Returns the marker entries
+//  Set marker_key (e.g. 'F2') to add a marker from the keyboard, or use an action-btn with href="#marker".
+//  The marker's time is kept from the moment the key is pressed, while its label is typed.
+//
+//  Times:
+//  Each entry has entry.time (a Date) and entry.precise (ms since 1970, with fractions of a ms)
+//  time_mode can be:
+//    'clock'        11:02:23             Time of day
+//    'incremental'  01:23 or 1:01:23     Since the log started
+//    'timestamp'    32913                ms since the log started
+//    'marker'       +01:23               Since the marker before the entry
+//    'iso'          2026-10-19T10:02:23Z
+//    or a function (precise, logger) => string, for your own format. If it throws, clock times are shown
+//  With time_precision 'ms', clock shows 11:02:23.456, and with 'us' 11:02:23.456789 (timestamp shows 32913.456)
+//  set_time_mode(mode, precision)  // Change the format, every row is drawn again in it
+//  Or use an action-btn with href="#time", with data-mode and data-precision, or neither to step through the modes
+//
+//  Levels:
+//  logger.debug(msg, opts), logger.info(), logger.warn() and logger.error() log at that level, log() is info.
+//  Entries below min_level aren't shown, change it with set_level(level).
+//  Set console_mirror to also send level messages to the browser console.
+//
+//  Set capture_console to show console.* calls, uncaught errors and unhandled promise rejections in the log,
+//  e.g. on kiosk devices without devtools. Stack traces are collapsed, click ⋯ to open them.
+//  Or call capture() and release() to start and stop.
+//
+//  download_log(opts)    // Download a copy of the log, opts: {type: 'csv', 'txt', 'json' or 'ndjson', include_hidden, include_meta, expand}
+//                        // expand: true gives a row for every repeat time kept, and includes entries in collapsed groups
+//  export_log(opts)      // Same as download_log, but returns the log as a string
+//  import_log(data, opts) // Load a json or ndjson export back in with its original timestamps, opts: {clear, replay, speed}
+//  load_file(file, opts) // Same as import_log, from a File. Or use an action-btn with href="#import"
+//  log_record(record, groups)    // Log one record from a json export, with its original time. HTML in it is shown as text
+//                                // Pass the same groups array for each record from one source to keep them in their groups
+//  update_record(entry, record)  // Apply a record sent again for an entry already logged, e.g. a repeat or a note
+//  clear()               // Remove all entries
+//  on(event, handler)    // Listen for 'entry' (passed each new entry as it is logged), 'repeat' (passed an entry which has repeated) or 'clear'
+//                        // or 'record' (passed the json export record of an entry each time it is added or changes, as sent to sinks)
+//  off(event, handler)   // Remove a handler, leave out the handler to remove all for that event
+//  open_session(id)      // Show a session saved with a LogStore, and carry on logging to it (see LogStore.js)
+//  Pass sinks: [new LogSink({url})] to stream entries to another machine, and see LogViewer.js to show them there
+//  new_session(name)     // Clear the log and start saving to a new session
+//
+//  Entries are kept in logger.entries, and only the ones scrolled into view are put on the page,
+//  so fast streams (e.g. a serial device printing at 50Hz) don't slow the page down.
+//  New entries are drawn once per animation frame, however quickly they arrive.
+//
+//  Filters:
+//  Entries with a filterable class (error, status and setting by default) are hidden until their filter is turned on.
+//  Any other class can be hidden too. The container gets a show-<filter> class for each filter that is on, for styling buttons.
+//
+//  Pass filter_bar: true (or an element to build it in) for a search box, time range and a button for every class logged:
+//
+//  set_filter(name, show)          // Show or hide entries with a class
+//  search(query, opts)             // Only show entries matching the text, opts: {regex: false, case_sensitive: false}
+//                                  // Matches are highlighted with <mark>. Pass null to clear
+//  set_time_range(from, to)        // Only show entries logged between two Dates or timestamps, either can be null
+//  class_counts()                  // Returns the number of entries with each class
+//
+//  Exports with include_hidden: false only contain the entries shown by the filters, search and time range.
 //
 
 //  ***********************************************
 
 class Logger{
 
+	static time_modes = ['clock', 'incremental', 'timestamp', 'marker', 'iso'];
+
+	static levels = {
+		debug: 0,
+		info: 1,
+		warn: 2,
+		error: 3
+	};
+
 	_default_opts = {
 		filters: [],
-		time_mode: 'clock'
+		filterable: ['error', 'status', 'setting'],	// Classes which are hidden unless their filter is on
+		filter_bar: null,				// true or an element, to add a search box, time range and class buttons
+		html: false,					// Show messages as HTML by default, only if every message is trusted
+		bytes_preview: 8,				// Bytes shown in hex before a byte array is opened
+		bytes_per_row: 16,			// Bytes on each line of a hex dump
+		marker_key: null,				// Key to add a marker with, e.g. 'F2'
+		collapse_duplicates: false,	// Count repeats of the same message on one row
+		max_repeat_times: 100,		// Times kept for the latest repeats of an entry
+		repeat_save_interval: 500,	// Most often a repeating entry is saved or sent to sinks (ms)
+		rate_limits: {},				// Most entries per second for a class, e.g. {status: 20}
+		min_level: 'debug',			// Lowest level to show: debug, info, warn or error
+		console_mirror: false,		// Send level messages to the browser console too
+		capture_console: false,		// Show console messages, uncaught errors and rejections in the log
+		time_mode: 'clock',
+		time_precision: 's',			// 's', 'ms' or 'us'
+		max_entries: 10000,			// Oldest entries are dropped past this many
+		row_height: 21,				// Expected height of an entry (px), until it has been drawn and measured
+		overscan: 10,					// Extra entries to draw above and below the visible ones
+
+		store: null,					// LogStore to save entries to IndexedDB as they arrive
+		session: null,					// Name for the saved session, defaults to the date and time
+		resume: false,					// Carry on with the last saved session, rather than starting a new one
+		sinks: []						// LogSinks to send entries to another machine as they arrive
 	};
 
 	_default_msg_opts = {
 		char: '>'
 	};
 
+	entries = [];
+
+	_next_id = 0;
+	_visible = [];					// Entries which pass the filters
+	_offsets = [0];				// Top of each visible entry, plus the total height at the end
+	_visible_dirty = false;
+	_rendered = new Set();
+	_frame = null;
+	_stick_to_bottom = true;
+	_trimmed_height = 0;
+	_loading = false;
+	_record_precise = null;		// Precise time of a record being logged, with the fraction of a ms a Date loses
+	_time_mode_failed = false;
+
+	_search = null;				// {test, highlight} regexes
+	_range = {from: null, to: null};
+	_class_counts = new Map();
+	_counts_dirty = false;
+
+	_listeners = {};
+
+	_marker_times = [];			// Times of markers, oldest first
+	_groups = [];					// Headers of the open groups, outermost first
+	_persist_waiting = new Set();	// Repeating entries waiting to be saved
+	_persist_timer = null;
+	_rates = new Map();			// Rate limit window for each limited class
+	_editor = null;
+	_element_entries = new WeakMap();
+
+	_console = null;				// Original console methods, while capturing
+	_mirroring = false;
+
 	constructor(opts){
 		this.opts = {...this._default_opts, ...opts};
 
 		if(!this.opts.container){
-			console.warn("No container for log specified");
+			this._warn("No container for log specified");
 		}
 
 		this.start_time = Date.now();
 		this.opts.container.dataset.start_time = this.start_time;
 
+		// Classes whose entries are hidden
+		this.hidden = new Set(this.opts.filterable);
+
+		// Entries are drawn into here, with padding standing in for the ones scrolled out of view
+		this._rows = document.createElement('div');
+		this._rows.classList.add('log-rows');
+		this.opts.container.append(this._rows);
+
+		this.opts.container.addEventListener('scroll', () => {
+			this._stick_to_bottom = this._is_scrolled_bottom();
+			this._schedule_render();
+		}, {passive: true});
+
+		// Double click an entry to add a note to it
+		this._rows.addEventListener('dblclick', (e) => {
+			const entry = this._element_entries.get(e.target.closest('p'));
+			if(entry){
+				this.note(entry);
+			}
+		});
+
+		if(this.opts.marker_key){
+			this._onKeyDown = (e) => {
+				if((e.key == this.opts.marker_key) && !e.target.closest?.('input, textarea, select, [contenteditable]')){
+					e.preventDefault();
+					this.marker();
+				}
+			};
+			document.addEventListener('keydown', this._onKeyDown);
+		}
+
 		// Add starting filters
 		for(let f of this.opts.filters){
-			this.opts.container.classList.add(`show-${f}`);
-			if(this.opts.filters_container){
-				this.opts.filters_container.classList.add(`show-${f}`);
-			}	
+			this.set_filter(f, true);
 		}
 
 		// Add toggles for filters
 		if(this.opts.filters_container){
 			this.opts.filters_container.querySelectorAll(".filter-btn").forEach(btn => {
+				if(btn.dataset.filter && !this.hidden.has(btn.dataset.filter)){
+					this.set_filter(btn.dataset.filter, true);
+				}
 				btn.addEventListener("click", (e) => {
 					e.preventDefault();
 					if(btn.dataset.filter){
-						
-						const scroll_after = this._is_scrolled_bottom();
-						const filter_class = `show-${btn.dataset.filter}`;
-
-						this.opts.container.classList.toggle(filter_class);
-						this.opts.filters_container.classList.toggle(filter_class, this.opts.container.classList.contains(filter_class));
-						
-						if(scroll_after){
-							this._scroll_to_bottom();
-						}
+						this.set_filter(btn.dataset.filter, this.hidden.has(btn.dataset.filter));
 					}
 				});
 			});
@@ -125,175 +324,1753 @@ class Logger{
 						if(link.dataset.includeMeta) opts.include_meta = link.dataset.includeMeta == 'true'
 						this.download_log(opts)
 						break
+
+					// Load an exported log back in
+					case "import":
+						this._pick_file()
+						break
+
+					// Mark this moment
+					case "marker":
+						this.marker()
+						break
+
+					// Change the time format, or step to the next one
+					case "time":
+						const modes = Logger.time_modes
+						this.set_time_mode(link.dataset.mode ?? modes[(modes.indexOf(this.opts.time_mode) + 1) % modes.length], link.dataset.precision)
+						break
 				}
 			}))
 		}
+		if(this.opts.filter_bar){
+			this._build_filter_bar();
+		}
+
+		if(this.opts.capture_console){
+			this.capture();
+		}
+
+		this._visible_dirty = true;
+		this._schedule_render();
+
+		// Save entries as they arrive, see LogStore.js
+		this.store = this.opts.store;
+		this.session_id = null;
+		this._store_ready = Promise.resolve();
+		if(this.store){
+			this.store.opts.warn = this.store.opts.warn ?? ((msg) => this._warn(msg));
+			this._store_ready = this._start_store().catch(e => {
+				this._warn(`Could not save log to IndexedDB: ${e.message}`);
+				this.store = null;
+			});
+		}
+
+		// Send entries to another machine, see LogSink.js
+		for(const sink of this.opts.sinks){
+			sink.attach(this);
+		}
 	}
 
 
 	// Add new message
 	// Pass a colour to quickly style the whole message
-	// Or pass in msg text already styled
+	// Or pass in segments, or msg text already styled with html: true
 	log(msg, opts){
 
 		// Merge opts with defaults
-		this._default_msg_opts.time = new Date();
-		opts = {...this._default_msg_opts, ...opts};
+		// Times are to the microsecond where the browser allows, unless a time is given
+		const precise = this._record_precise ?? (opts?.time ? new Date(opts.time).getTime() : this._now());
+		this._record_precise = null;
+		opts = {...this._default_msg_opts, time: new Date(precise), ...opts};
+
+		const entry = {
+			id: null,
+			time: opts.time,
+			precise: precise,
+			msg: this._bytes_msg(this._is_segments(msg) ? msg : (Array.isArray(msg) ? String(msg) : msg)),
+			char: opts.char ?? this.opts.char,
+			colour: opts.colour,
+			hover: opts.hover,
+			classes: new Set([].concat(opts.class ?? [])),
+			data: {...opts.data},
+			level: opts.level ?? 'info',
+			stack: opts.stack ?? null,
+			html: opts.html ?? this.opts.html,
+			marker: !!opts.marker,
+			note: opts.note ?? null,
+			collapse: opts.collapse ?? true,
+			count: opts.count ?? 1,
+			last_time: opts.last_time ?? opts.time,
+			repeat_times: [...(opts.repeat_times ?? [])],
+			group: this._groups[this._groups.length-1] ?? null,
+			depth: this._groups.length,
+			group_header: !!opts.group_header,
+			collapsed: !!opts.collapsed,
+			expanded: false,
+			json_open: new Set(),		// Which parts of json segments are open
+			height: null,
+			element: null
+		};
+
+		// The same as the entry before, so count it there instead
+		const previous = this.entries[this.entries.length-1];
+		if(this.opts.collapse_duplicates && previous && this._is_repeat(previous, entry)){
+			return this._repeat(previous, entry);
+		}
+
+		// Over the limit for one of its classes
+		if((opts.rate_limit ?? true) && this._over_rate_limit(entry)){
+			return null;
+		}
+		entry.id = this._next_id++;
+
+		// Same as a DOM element, so existing code can keep adding classes to returned messages
+		entry.dataset = entry.data;
+		entry.classList = {
+			add: (...c) => this._update_classes(entry, () => c.forEach(n => entry.classes.add(n))),
+			remove: (...c) => this._update_classes(entry, () => c.forEach(n => entry.classes.delete(n))),
+			toggle: (c, force) => {
+				const on = force ?? !entry.classes.has(c);
+				this._update_classes(entry, () => on ? entry.classes.add(c) : entry.classes.delete(c));
+				return on;
+			},
+			contains: (c) => entry.classes.has(c)
+		};
+
+		// Styles set on the entry are kept, and put back on the row each time it is drawn
+		entry.styles = {};
+		entry.style = new Proxy(entry.styles, {
+			set: (styles, property, value) => {
+				styles[property] = value;
+				if(entry.element) entry.element.style[property] = value;
+				return true;
+			}
+		});
+
+		this.entries.push(entry);
+		this._persist(entry);
+		if(entry.marker){
+			this._add_marker_time(entry.precise);
+		}
+		this._count_classes(entry, 1);
+
+		// Drop the oldest entries past the cap
+		if(this.entries.length > this.opts.max_entries){
+			const removed = this.entries.splice(0, this.entries.length - this.opts.max_entries);
+			for(const old of removed){
+				this._count_classes(old, -1);
+				if(this._passes(old)){
+					this._trimmed_height += old.height ?? this.opts.row_height;
+				}
+			}
+			this._visible_dirty = true;
+		}else if(!this._visible_dirty && this._passes(entry)){
+			this._add_visible(entry);
+		}
+
+		this._schedule_render();
+		this._emit('entry', entry);
+		return entry;
+	}
+
+	// Remove all entries
+	clear(){
+		this._emit('clear', {});
+		this.entries = [];
+		this._marker_times = [];
+		this._groups = [];
+		this._rates.clear();
+		this._persist_waiting.clear();
+		this._class_counts.clear();
+		this._counts_dirty = true;
+		this._visible_dirty = true;
+		this._schedule_render();
+	}
+
+	_is_scrolled_bottom(){
+		// 50 = small scroll buffer
+		return (this.opts.container.offsetHeight + this.opts.container.scrollTop >= (this.opts.container.scrollHeight-50));
+	}
+
+	_scroll_to_bottom(){
+		// Scroll to bottom
+		this.opts.container.scrollTop = this.opts.container.scrollHeight;
+	}
+
+	// /////////////////////////////////////////////////
+	// Markers and notes
+
+	// Mark a moment, asking for a label if there isn't one
+	marker(label, opts = {}){
+		const count = this.markers().length + 1;
+		const entry = this.log(label ?? `Marker ${count}`, {
+			char: '🚩',
+			...opts,
+			class: ['marker', ...[].concat(opts.class ?? [])],
+			marker: true
+		});
+
+		// Dropped by a rate limit on one of its classes
+		if(!entry){
+			return null;
+		}
+
+		// Logged straight away so the time is right, then renamed once typed
+		if(label === undefined){
+			this._edit_text('', `Marker ${count}`).then(text => {
+				if(text){
+					entry.msg = text;
+					this._changed(entry);
+				}
+			});
+		}
+		return entry;
+	}
+
+	// Attach a note to an entry, asking for it if there isn't one
+	note(entry, text){
+		if(text !== undefined){
+			entry.note = text || null;
+			this._changed(entry);
+			return Promise.resolve(entry.note);
+		}
+		return this._edit_text(entry.note ?? '', 'Note').then(text => {
+			if(text !== null){
+				this.note(entry, text);
+			}
+			return entry.note;
+		});
+	}
+
+	markers(){
+		return this.entries.filter(entry => entry.marker);
+	}
+
+	// Small text box under the log, resolves with the text, or null if cancelled
+	_edit_text(value, placeholder){
+		if(this._editor){
+			this._editor.finish(null);
+		}
+		return new Promise(resolve => {
+			const form = document.createElement('form');
+			form.classList.add('log-editor');
+			const input = document.createElement('input');
+			input.value = value;
+			input.placeholder = placeholder;
+			form.append(input);
+			this.opts.container.after(form);
+
+			const finish = (text) => {
+				if(this._editor?.form !== form) return;
+				this._editor = null;
+				form.remove();
+				resolve(text);
+			};
+			this._editor = {form: form, finish: finish};
+
+			form.addEventListener('submit', (e) => {
+				e.preventDefault();
+				finish(input.value.trim());
+			});
+			input.addEventListener('keydown', (e) => {
+				if(e.key == 'Escape') finish(null);
+			});
+			input.addEventListener('blur', () => finish(input.value.trim()));
+			input.focus();
+		});
+	}
+
+	// Keep marker times in order, for working out relative times
+	_add_marker_time(time){
+		let i = this._marker_times.length;
+		while((i > 0) && (this._marker_times[i-1] > time)){
+			i--;
+		}
+		this._marker_times.splice(i, 0, time);
+	}
+
+	// Latest marker at or before a time
+	_marker_before(time){
+		let low = 0;
+		let high = this._marker_times.length - 1;
+		let found = null;
+		while(low <= high){
+			const mid = Math.floor((low + high) / 2);
+			if(this._marker_times[mid] <= time){
+				found = this._marker_times[mid];
+				low = mid + 1;
+			}else{
+				high = mid - 1;
+			}
+		}
+		return found;
+	}
+
+	// Something about an entry has changed, so save and draw it again
+	_changed(entry){
+		entry.text = null;
+		entry.repeat_key = null;
+		this._persist(entry);
+		this._redraw();
+	}
+
+	// /////////////////////////////////////////////////
+	// Repeats, groups and rate limits
+
+	// Start a group, which everything logged is indented under until groupEnd()
+	group(label, opts = {}){
+		const entry = this.log(label, {
+			...opts,
+			class: ['group', ...[].concat(opts.class ?? [])],
+			group_header: true,
+			collapse: false,
+			rate_limit: false
+		});
+		this._groups.push(entry);
+		return entry;
+	}
+
+	// Close the latest group
+	groupEnd(){
+		return this._groups.pop() ?? null;
+	}
+
+	// Collapse or open a group
+	toggle_group(entry, collapsed = !entry.collapsed){
+		entry.collapsed = collapsed;
+		this._persist(entry);
+		this._redraw();
+	}
+
+	// Can a new entry be counted as a repeat of the one before
+	_is_repeat(previous, entry){
+		if(!previous.collapse || !entry.collapse || previous.group_header || entry.group_header || previous.marker || entry.marker || previous.note){
+			return false;
+		}
+		previous.repeat_key = previous.repeat_key ?? this._repeat_key(previous);
+		return previous.repeat_key == this._repeat_key(entry);
+	}
+
+	_repeat_key(entry){
+		return JSON.stringify([entry.msg, entry.char, entry.colour, entry.hover, [...entry.classes], entry.data, entry.level, entry.stack, entry.html, entry.group?.id]);
+	}
+
+	_repeat(entry, repeat){
+		entry.count++;
+		entry.last_time = repeat.time;
+		entry.repeat_times.push(repeat.precise);
+		if(entry.repeat_times.length > this.opts.max_repeat_times){
+			entry.repeat_times.splice(0, entry.repeat_times.length - this.opts.max_repeat_times);
+		}
+		this._persist_soon(entry);
+		this._refresh(entry);
+		this._emit('repeat', entry);
+		return entry;
+	}
+
+	// Save an entry which is changing quickly, at most once per repeat_save_interval
+	_persist_soon(entry){
+		this._persist_waiting.add(entry);
+		if(this._persist_timer === null){
+			this._persist_timer = setTimeout(() => {
+				this._persist_timer = null;
+				const waiting = this._persist_waiting;
+				this._persist_waiting = new Set();
+				for(const e of waiting){
+					this._persist(e);
+				}
+			}, this.opts.repeat_save_interval);
+		}
+	}
+
+	// Draw one entry again, if it is on the page
+	_refresh(entry){
+		if(entry.element){
+			const old = entry.element;
+			old.replaceWith(this._create_element(entry));
+			this._schedule_render();
+		}
+	}
+
+	// Count an entry against its classes' limits, and summarise it if it is dropped
+	_over_rate_limit(entry){
+		const time = entry.time.getTime();
+		const limited = [...entry.classes].filter(c => this.opts.rate_limits[c] !== undefined);
+
+		for(const c of limited){
+			const limit = this._rate_limit(c);
+			let rate = this._rates.get(c);
+			if(!rate || (time - rate.start >= limit.per) || (time < rate.start)){
+				rate = {start: time, count: 0, dropped: 0, summary: null};
+				this._rates.set(c, rate);
+			}
+			if(rate.count >= limit.count){
+				rate.dropped++;
+				const text = `${rate.dropped} ${c} ${(rate.dropped == 1) ? 'entry' : 'entries'} dropped, over ${limit.count} per ${limit.per}ms`;
+				if(rate.summary){
+					rate.summary.msg = text;
+					rate.summary.text = null;
+					this._persist_soon(rate.summary);
+					this._refresh(rate.summary);
+				}else{
+					rate.summary = this.log(text, {
+						char: '⏸',
+						class: ['rate-limited', c],
+						level: entry.level,
+						time: entry.time,
+						collapse: false,
+						rate_limit: false
+					});
+				}
+				return true;
+			}
+		}
+		for(const c of limited){
+			this._rates.get(c).count++;
+		}
+		return false;
+	}
+
+	_rate_limit(c){
+		const limit = this.opts.rate_limits[c];
+		return (typeof limit == 'number') ? {count: limit, per: 1000} : {count: limit.count, per: limit.per ?? 1000};
+	}
+
+	// Times of every repeat of an entry
+	_times(entry){
+		return [entry.time, ...entry.repeat_times.map(t => new Date(t))];
+	}
+
+	// Precise time of the latest repeat
+	_last_precise(entry){
+		return entry.repeat_times[entry.repeat_times.length-1] ?? entry.precise;
+	}
+
+	// Add/remove event handlers
+	on(event, handler){
+		if(!this._listeners[event]){
+			this._listeners[event] = [];
+		}
+		this._listeners[event].push(handler);
+		return this;
+	}
+	off(event, handler){
+		if(event === undefined){
+			this._listeners = {};
+		}else if(handler === undefined){
+			delete this._listeners[event];
+		}else if(this._listeners[event]){
+			this._listeners[event] = this._listeners[event].filter(h => h !== handler);
+		}
+		return this;
+	}
+
+	_emit(event, detail){
+		for(const handler of (this._listeners[event] ?? []).slice()){
+			handler(detail);
+		}
+	}
+
+	// /////////////////////////////////////////////////
+	// Levels
+
+	debug(msg, opts){ return this._log_level('debug', msg, opts); }
+	info(msg, opts){ return this._log_level('info', msg, opts); }
+	warn(msg, opts){ return this._log_level('warn', msg, opts); }
+	error(msg, opts){ return this._log_level('error', msg, opts); }
+
+	// Change the lowest level shown
+	set_level(level){
+		if(Logger.levels[level] === undefined){
+			this._warn(`Log level not recognised: ${level}`);
+			return;
+		}
+		this.opts.min_level = level;
+		this._visible_dirty = true;
+		this._schedule_render();
+	}
+
+	_log_level(level, msg, opts = {}){
+		if(this.opts.console_mirror){
+			// Don't log it a second time if the console is being captured
+			this._mirroring = true;
+			console[level](this._plain(msg, opts.html ?? this.opts.html));
+			this._mirroring = false;
+		}
+		return this.log(msg, {...opts, level: level});
+	}
+
+	// /////////////////////////////////////////////////
+	// Console and error capture
+
+	// Start showing console messages and uncaught errors in the log
+	capture(){
+		if(this._console){
+			return;
+		}
+		this._console = {};
+		const methods = {debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error'};
+		for(const method in methods){
+			const original = console[method];
+			this._console[method] = original;
+			console[method] = (...args) => {
+				original.apply(console, args);
+				if(!this._mirroring){
+					this._log_captured(methods[method], args);
+				}
+			};
+		}
+
+		this._onError = (e) => {
+			const where = e.filename ? ` (${e.filename}:${e.lineno}:${e.colno})` : '';
+			this._log_captured('error', [`Uncaught ${e.error ?? e.message}${where}`], e.error?.stack);
+		};
+		this._onRejection = (e) => {
+			this._log_captured('error', ['Unhandled rejection:', e.reason], e.reason?.stack);
+		};
+		window.addEventListener('error', this._onError);
+		window.addEventListener('unhandledrejection', this._onRejection);
+	}
+
+	// Put the console back as it was
+	release(){
+		if(!this._console){
+			return;
+		}
+		for(const method in this._console){
+			console[method] = this._console[method];
+		}
+		this._console = null;
+		window.removeEventListener('error', this._onError);
+		window.removeEventListener('unhandledrejection', this._onRejection);
+	}
+
+	// Logger's own warnings go straight to the console, so they aren't captured back into the log
+	_warn(msg){
+		(this._console?.warn ?? console.warn).call(console, msg);
+	}
+
+	// Console arguments can be anything, so turn them into escaped text
+	_log_captured(level, args, stack = null){
+		const parts = args.map(arg => {
+			if(arg instanceof Error){
+				stack = stack ?? arg.stack;
+				return `${arg.name}: ${arg.message}`;
+			}
+			if((typeof arg == 'object') && (arg !== null)){
+				try{
+					return JSON.stringify(arg);
+				}catch{
+					return String(arg);
+				}
+			}
+			return String(arg);
+		});
+		this.log(parts.join(' '), {
+			level: level,
+			class: 'console',
+			stack: stack
+		});
+	}
+
+	// /////////////////////////////////////////////////
+	// Filtering
+
+	// Show or hide entries with a class
+	set_filter(filter, show){
+		const filter_class = `show-${filter}`;
+		if(show){
+			this.hidden.delete(filter);
+		}else{
+			this.hidden.add(filter);
+		}
+		this.opts.container.classList.toggle(filter_class, show);
+		if(this.opts.filters_container){
+			this.opts.filters_container.classList.toggle(filter_class, show);
+		}
+		this._counts_dirty = true;
+		this._visible_dirty = true;
+		this._schedule_render();
+	}
+
+	// Only show entries which match some text
+	search(query, opts = {}){
+		opts = {...{
+			regex: false,
+			case_sensitive: false
+		}, ...opts};
+
+		this._search = null;
+		if(query){
+			const source = opts.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+			const flags = opts.case_sensitive ? '' : 'i';
+			try{
+				this._search = {
+					test: new RegExp(source, flags),
+					highlight: new RegExp(source, `${flags}g`)
+				};
+			}catch(e){
+				// Leave the log unfiltered while a regex is half typed
+				this._redraw();
+				return false;
+			}
+		}
+		this._redraw();
+		return true;
+	}
+
+	// Only show entries logged between two times
+	set_time_range(from = null, to = null){
+		this._range = {
+			from: (from === null) ? null : new Date(from).getTime(),
+			to: (to === null) ? null : new Date(to).getTime()
+		};
+		this._visible_dirty = true;
+		this._schedule_render();
+	}
+
+	// Number of entries with each class
+	class_counts(){
+		return Object.fromEntries(this._class_counts);
+	}
+
+	// Is an entry shown with the current filters
+	// Pass groups: false to ignore collapsed groups, e.g. for expanded exports
+	_passes(entry, groups = true){
+		if(Logger.levels[entry.level] < Logger.levels[this.opts.min_level]){
+			return false;
+		}
+		if(groups){
+			for(let group = entry.group; group; group = group.group){
+				if(group.collapsed){
+					return false;
+				}
+			}
+		}
+		for(const c of entry.classes){
+			if(this.hidden.has(c)){
+				return false;
+			}
+		}
+		const time = entry.time.getTime();
+		if(((this._range.from !== null) && (time < this._range.from)) || ((this._range.to !== null) && (time > this._range.to))){
+			return false;
+		}
+		if(this._search && !this._search.test.test(this._search_text(entry))){
+			return false;
+		}
+		return true;
+	}
+
+	_update_classes(entry, change){
+		this._count_classes(entry, -1);
+		change();
+		entry.repeat_key = null;
+		this._count_classes(entry, 1);
+		this._persist(entry);
+		if(entry.element){
+			this._apply_classes(entry);
+		}
+		this._visible_dirty = true;
+		this._schedule_render();
+	}
+
+	_count_classes(entry, change){
+		for(const c of entry.classes){
+			const count = (this._class_counts.get(c) ?? 0) + change;
+			if(count > 0){
+				this._class_counts.set(c, count);
+			}else{
+				this._class_counts.delete(c);
+			}
+		}
+		this._counts_dirty = true;
+	}
+
+	// Draw all the entries again, e.g. for new search highlights
+	_redraw(){
+		for(const entry of this._rendered){
+			entry.element = null;
+		}
+		this._rendered = new Set();
+		this._visible_dirty = true;
+		this._schedule_render();
+	}
+
+	// Wrap matches of the search in <mark>, leaving any HTML in the message alone
+	_highlight(elm){
+		const walker = document.createTreeWalker(elm, NodeFilter.SHOW_TEXT);
+		const nodes = [];
+		while(walker.nextNode()){
+			nodes.push(walker.currentNode);
+		}
+		for(const node of nodes){
+			const text = node.textContent;
+			const regex = this._search.highlight;
+			regex.lastIndex = 0;
+
+			const fragment = document.createDocumentFragment();
+			let last = 0;
+			let match;
+			while((match = regex.exec(text)) !== null){
+				// Avoid looping forever on empty matches
+				if(match[0].length == 0){
+					regex.lastIndex++;
+					continue;
+				}
+				fragment.append(text.slice(last, match.index));
+				const mark = document.createElement('mark');
+				mark.textContent = match[0];
+				fragment.append(mark);
+				last = match.index + match[0].length;
+			}
+			if(last > 0){
+				fragment.append(text.slice(last));
+				node.replaceWith(fragment);
+			}
+		}
+	}
+
+	// Search box, time range and class buttons
+	_build_filter_bar(){
+		const bar = (this.opts.filter_bar instanceof Element) ? this.opts.filter_bar : document.createElement('div');
+		if(!(this.opts.filter_bar instanceof Element)){
+			this.opts.container.before(bar);
+		}
+		bar.classList.add('log-filter-bar');
+		bar.innerHTML = `
+			<input type="search" class="log-search" placeholder="Search">
+			<label class="log-regex" title="Regular expression"><input type="checkbox"> .*</label>
+			<input type="datetime-local" class="log-from" step="1" title="From">
+			<input type="datetime-local" class="log-to" step="1" title="To">
+			<button class="log-export" title="Download the entries shown">📥</button>
+			<div class="log-classes"></div>`;
+
+		const search = bar.querySelector('.log-search');
+		const regex = bar.querySelector('.log-regex input');
+		const update_search = () => {
+			const valid = this.search(search.value, {regex: regex.checked});
+			search.classList.toggle('invalid', !valid);
+		};
+		search.addEventListener('input', update_search);
+		regex.addEventListener('change', update_search);
+
+		const from = bar.querySelector('.log-from');
+		const to = bar.querySelector('.log-to');
+		const update_range = () => this.set_time_range(from.value || null, to.value || null);
+		from.addEventListener('change', update_range);
+		to.addEventListener('change', update_range);
+
+		bar.querySelector('.log-export').addEventListener('click', () => this.download_log({include_hidden: false}));
+
+		// One button per class, made as classes are logged
+		this._class_bar = bar.querySelector('.log-classes');
+		this._class_bar.addEventListener('click', (e) => {
+			const btn = e.target.closest('button');
+			if(btn){
+				this.set_filter(btn.dataset.filter, this.hidden.has(btn.dataset.filter));
+			}
+		});
+		this._counts_dirty = true;
+	}
+
+	_update_class_buttons(){
+		this._counts_dirty = false;
+		if(!this._class_bar){
+			return;
+		}
+		const buttons = {};
+		for(const btn of this._class_bar.querySelectorAll('button')){
+			buttons[btn.dataset.filter] = btn;
+		}
+		for(const [name, count] of this._class_counts){
+			let btn = buttons[name];
+			if(!btn){
+				btn = document.createElement('button');
+				btn.dataset.filter = name;
+				this._class_bar.append(btn);
+			}
+			btn.textContent = `${name} (${count})`;
+			btn.classList.toggle('active', !this.hidden.has(name));
+			delete buttons[name];
+		}
+
+		// Classes which aren't in the log any more
+		for(const name in buttons){
+			buttons[name].remove();
+		}
+	}
+
+	// Plain text of an entry's message, for searching
+	_entry_text(entry){
+		entry.text = entry.text ?? this._plain(entry.msg, entry.html);
+		return entry.text;
+	}
+
+	// Message and note, for searching
+	_search_text(entry){
+		return entry.note ? `${this._entry_text(entry)} ${entry.note}` : this._entry_text(entry);
+	}
+
+	// /////////////////////////////////////////////////
+	// Rendering
+	// Only the entries in view are on the page, the rows' padding makes up the height of the rest
+
+	_schedule_render(){
+		if(this._frame === null){
+			this._frame = window.requestAnimationFrame(() => this._render());
+		}
+	}
+
+	_render(){
+		this._frame = null;
+		const container = this.opts.container;
+
+		if(this._visible_dirty){
+			this._rebuild_visible();
+		}
+		if(this._counts_dirty){
+			this._update_class_buttons();
+		}
+
+		// Keep the same entries in view when old ones are dropped from the top
+		if(this._trimmed_height > 0){
+			if(!this._stick_to_bottom){
+				container.scrollTop -= this._trimmed_height;
+			}
+			this._trimmed_height = 0;
+		}
+
+		// Work out which entries are in view
+		const rows_top = this._rows.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+		const total = this._offsets[this._offsets.length-1];
+		let view_top = container.scrollTop - rows_top;
+		if(this._stick_to_bottom){
+			view_top = total - container.clientHeight;
+		}
+		const first = Math.max(0, this._index_at(view_top) - this.opts.overscan);
+		const last = Math.min(this._visible.length, this._index_at(view_top + container.clientHeight) + 1 + this.opts.overscan);
+
+		// Swap in the new set of elements
+		const rendered = new Set(this._visible.slice(first, last));
+		for(const entry of this._rendered){
+			if(!rendered.has(entry)){
+				entry.element = null;
+			}
+		}
+		this._rendered = rendered;
+		this._rows.replaceChildren(...[...rendered].map(entry => entry.element ?? this._create_element(entry)));
+
+		// Measure what was drawn, in case any entries aren't the expected height
+		let changed = false;
+		for(const entry of rendered){
+			const height = this._measure(entry);
+			if(height != entry.height){
+				entry.height = height;
+				changed = true;
+			}
+		}
+		if(changed){
+			this._layout();
+		}
+		this._rows.style.paddingTop = `${this._offsets[first]}px`;
+		this._rows.style.paddingBottom = `${this._offsets[this._offsets.length-1] - this._offsets[last]}px`;
+
+		if(this._stick_to_bottom){
+			this._scroll_to_bottom();
+		}
+	}
+
+	// Work out which entries pass the filters, and where each one sits
+	_rebuild_visible(){
+		this._visible = this.entries.filter(entry => this._passes(entry));
+		this._visible_dirty = false;
+		this._layout();
+	}
+
+	_layout(){
+		const visible = this._visible;
+		this._visible = [];
+		this._offsets = [0];
+		for(const entry of visible){
+			this._add_visible(entry);
+		}
+	}
+
+	_add_visible(entry){
+		// Spacing between groups of entries depends on the entry above, which may not be drawn
+		const previous = this._visible[this._visible.length-1];
+		entry.group_start = entry.classes.has('new_group') && !(previous && previous.classes.has('new_group'));
+
+		this._visible.push(entry);
+		this._offsets.push(this._offsets[this._offsets.length-1] + (entry.height ?? this.opts.row_height));
+	}
+
+	// Index of the visible entry at a height down the list
+	_index_at(y){
+		let low = 0;
+		let high = this._visible.length - 1;
+		while(low < high){
+			const mid = Math.ceil((low + high) / 2);
+			if(this._offsets[mid] <= y){
+				low = mid;
+			}else{
+				high = mid - 1;
+			}
+		}
+		return Math.max(0, low);
+	}
+
+	_measure(entry){
+		let height = entry.element.offsetHeight;
+		if(entry.group_start){
+			height += parseFloat(getComputedStyle(entry.element).marginTop) || 0;
+		}
+		return height;
+	}
 
-		// Generate new message
+	_create_element(entry){
 		const new_msg = document.createElement('p');
 
 		// Add data properties to the log entry
-		for(const d in opts.data){
-			new_msg.dataset[d] = opts.data[d];
+		for(const d in entry.data){
+			new_msg.dataset[d] = entry.data[d];
+		}
+		new_msg.dataset.timestamp = entry.time.getTime();
+		new_msg.dataset.time_diff = entry.time.getTime() - this.start_time;
+		new_msg.dataset.level = entry.level;
+		if(entry.depth){
+			new_msg.style.marginLeft = `${entry.depth * 1.5}em`;
+		}
+		Object.assign(new_msg.style, entry.styles);
+
+		// Format message
+		// Built with textContent rather than innerHTML, so nothing in the entry can add markup
+		const time = this._span('time', this._time_string(entry.precise));
+		time.title = entry.time.toTimeString();
+
+		const msg = this._span('msg');
+		if(entry.colour) msg.style.color = entry.colour;
+		if(entry.hover) msg.title = entry.hover;
+		this._append_msg(msg, entry);
+
+		new_msg.append(time, ' ', this._span('char', entry.char), ' ');
+		if(entry.group_header){
+			const toggle = this._span('group-toggle', entry.collapsed ? '▸' : '▾');
+			toggle.title = entry.collapsed ? 'Open group' : 'Collapse group';
+			toggle.addEventListener('click', () => this.toggle_group(entry));
+			new_msg.append(toggle, ' ');
+		}
+		new_msg.append(msg);
+
+		if(entry.count > 1){
+			const count = this._span('repeat-count', `×${entry.count}`);
+			count.title = `${this._time_string(entry.precise)} to ${this._time_string(this._last_precise(entry))}`;
+			new_msg.append(' ', count);
+		}
+
+		if(entry.note){
+			const note = this._span('note', `📝 ${entry.note}`);
+			note.title = 'Double click to edit';
+			new_msg.append(' ', note);
+		}
+
+		if(this._search){
+			this._highlight(new_msg.querySelector('.msg'));
+		}
+
+		// Stack traces are hidden until the toggle is clicked
+		if(entry.stack){
+			const toggle = document.createElement('span');
+			toggle.classList.add('stack-toggle');
+			toggle.textContent = '⋯';
+			toggle.title = entry.expanded ? 'Hide stack trace' : 'Show stack trace';
+			toggle.addEventListener('click', () => {
+				entry.expanded = !entry.expanded;
+				this._redraw();
+			});
+			new_msg.append(toggle);
+
+			if(entry.expanded){
+				const stack = document.createElement('pre');
+				stack.classList.add('stack');
+				stack.textContent = entry.stack;
+				new_msg.append(stack);
+			}
+		}
+
+		entry.element = new_msg;
+		this._element_entries.set(new_msg, entry);
+		this._apply_classes(entry);
+		return new_msg;
+	}
+
+	// Set class of the <p>
+	_apply_classes(entry){
+		entry.element.className = [...entry.classes].join(' ');
+		entry.element.classList.toggle('group_start', !!entry.group_start);
+		entry.element.classList.toggle('expanded', !!entry.expanded);
+		entry.element.classList.toggle('collapsed', !!entry.collapsed);
+	}
+
+	// Change how times are shown, and draw every row again
+	set_time_mode(mode, precision = this.opts.time_precision){
+		if((typeof mode != 'function') && !Logger.time_modes.includes(mode)){
+			this._warn(`Time mode not recognised: ${mode}`);
+			return;
+		}
+		if(!['s', 'ms', 'us'].includes(precision)){
+			this._warn(`Time precision not recognised: ${precision}`);
+			return;
 		}
-		new_msg.dataset.timestamp = opts.time.getTime();
-		new_msg.dataset.time_diff = opts.time.getTime() - this.start_time;
+		this.opts.time_mode = mode;
+		this.opts.time_precision = precision;
+		this._time_mode_failed = false;
+		this._redraw();
+	}
 
-		// Which char to show as
-		const char = opts.char ?? this.opts.char;
+	// Now in ms since 1970, to the microsecond where the browser allows
+	_now(){
+		return window.performance?.timeOrigin ? (performance.timeOrigin + performance.now()) : Date.now();
+	}
 
-		// Generate time string
-		let time_string = "";
-		switch(this.opts.time_mode){
+	// Generate time string, from a Date or a precise time
+	_time_string(time){
+		const precise = (time instanceof Date) ? time.getTime() : time;
+		const mode = this.opts.time_mode;
+		if(typeof mode == 'function'){
+			// A broken format shouldn't stop the log, so fall back to the time of day
+			try{
+				return String(mode(precise, this));
+			}catch(e){
+				if(!this._time_mode_failed){
+					this._time_mode_failed = true;
+					this._warn(`Time format failed, showing clock times: ${e.message}`);
+				}
+				return this._clock_string(precise);
+			}
+		}
+
+		switch(mode){
 			case 'incremental':
 				// 01:23
-				const seconds = Math.floor((opts.time.getTime() - this.start_time)/1000) % 60;
-				const minutes = Math.floor((opts.time.getTime() - this.start_time)/60000) % 60;
-				time_string = `${minutes < 10 ? '0' : ''}${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
-				break;
+				return this._duration_string(precise - this.start_time);
 			case 'timestamp':
 				// 32913
-				time_string = (opts.time.getTime() - this.start_time);
-				break;
+				const diff = precise - this.start_time;
+				return (this.opts.time_precision == 'us') ? diff.toFixed(3) : String(Math.floor(diff));
+			case 'marker':
+				// +01:23 since the last marker
+				return `+${this._duration_string(precise - (this._marker_before(precise) ?? this.start_time))}`;
+			case 'iso':
+				// 2026-10-19T10:02:23Z
+				return `${new Date(precise).toISOString().slice(0, 19)}${this._fraction_string(precise)}Z`;
 			case 'clock':
 			default:
 				// 11:02:23
-				time_string = opts.time.toTimeString().substr(0,8);
-				break;
+				return this._clock_string(precise);
+		}
+	}
+
+	_clock_string(precise){
+		return `${new Date(precise).toTimeString().substr(0,8)}${this._fraction_string(precise)}`;
+	}
 
+	// 01:23, with hours once there are some, e.g. 1:01:23
+	_duration_string(ms){
+		const sign = (ms < 0) ? '-' : '';
+		ms = Math.abs(ms);
+		const hours = Math.floor(ms/3600000);
+		const minutes = Math.floor(ms/60000) % 60;
+		const seconds = Math.floor(ms/1000) % 60;
+		const pad = (n) => String(n).padStart(2, '0');
+		return `${sign}${hours ? `${hours}:` : ''}${pad(minutes)}:${pad(seconds)}${this._fraction_string(ms)}`;
+	}
+
+	// .456 or .456789 for the fraction of the second, depending on the precision
+	_fraction_string(ms){
+		// Whole microseconds, nudged so float rounding doesn't take one off
+		const micros = Math.floor((ms * 1000) + 1e-3) % 1000000;
+		switch(this.opts.time_precision){
+			case 'ms':
+				return `.${String(Math.floor(micros / 1000)).padStart(3, '0')}`;
+			case 'us':
+				return `.${String(micros).padStart(6, '0')}`;
+			default:
+				return '';
 		}
-		// Format message
-		new_msg.innerHTML = `
-			<span class="time" title="${opts.time.toTimeString()}">${time_string}</span>
-			<span class="char">${char}</span>
-			<span class="msg" style="${(opts.colour) ? 'color:'+opts.colour : ''}" title="${opts.hover ?? ''}">${msg}</span>`;
+	}
+
+	// /////////////////////////////////////////////////
+	// Message segments
+
+	_span(class_name, text){
+		const span = document.createElement('span');
+		span.classList.add(class_name);
+		if(text !== undefined){
+			span.textContent = text;
+		}
+		return span;
+	}
 
-		// Set class of the <p>
-		if(opts.class)	new_msg.classList.add(opts.class);
+	// Only arrays with a segment or byte array in them are segments, so arrays of plain values still log as text
+	_is_segments(msg){
+		return Array.isArray(msg) && msg.some(segment => (typeof segment == 'object') && (segment !== null));
+	}
 
+	// Fill the msg span from a string or segments
+	_append_msg(elm, entry){
+		if(!Array.isArray(entry.msg)){
+			if(entry.html){
+				elm.innerHTML = entry.msg;
+			}else{
+				elm.textContent = entry.msg;
+			}
+			return;
+		}
+		entry.msg.forEach((segment, i) => elm.append(this._segment(segment, entry, i)));
+	}
 
-		// See if we are already at the bottom, better for UI if user is looking at something higher up
-		const will_scroll = this._is_scrolled_bottom();
-	
-		// Add message
-		this.opts.container.append(new_msg);
+	_segment(segment, entry, index){
+		if((typeof segment != 'object') || (segment === null)){
+			return document.createTextNode(String(segment));
+		}
 
-		// Scroll to bottom
-		if(will_scroll){
-			this._scroll_to_bottom();
+		let elm;
+		if(segment.html !== undefined){
+			elm = this._span('html');
+			elm.innerHTML = segment.html;
+		}else if(segment.code !== undefined){
+			elm = document.createElement('code');
+			elm.textContent = segment.code;
+		}else if(segment.badge !== undefined){
+			elm = this._span('badge', segment.badge);
+			if(segment.colour) elm.style.backgroundColor = segment.colour;
+		}else if(segment.link !== undefined){
+			elm = document.createElement('a');
+			elm.textContent = segment.text ?? segment.link;
+			// Only web links, so a message can't run script with a javascript: link
+			if(/^(https?:|mailto:|blob:|\/|#)/i.test(segment.link)){
+				elm.href = segment.link;
+			}
+			if(segment.download){
+				elm.download = segment.download;
+			}else{
+				elm.target = '_blank';
+				elm.rel = 'noopener';
+			}
+		}else if(segment.json !== undefined){
+			elm = this._json_viewer(segment.json, entry, `${index}`, segment.open);
+		}else if(segment.bytes !== undefined){
+			elm = this._is_byte_list(segment.bytes) ? this._hex_viewer(segment.bytes, entry, `${index}`, segment.open) : this._span('text', this._bytes_text(segment.bytes));
+		}else{
+			elm = this._span('text', segment.text ?? '');
 		}
 
-		return new_msg;
+		if(segment.colour && (segment.badge === undefined)) elm.style.color = segment.colour;
+		if(segment.bold) elm.style.fontWeight = 'bold';
+		if(segment.class) elm.classList.add(...[].concat(segment.class));
+		if(segment.hover) elm.title = segment.hover;
+		return elm;
 	}
 
-	_is_scrolled_bottom(){
-		// 50 = small scroll buffer
-		return (this.opts.container.offsetHeight + this.opts.container.scrollTop >= (this.opts.container.scrollHeight-50));
+	// Collapsible viewer for objects and arrays, remembering which parts are open between redraws
+	_json_viewer(value, entry, path, open = false){
+		if((typeof value != 'object') || (value === null)){
+			const elm = this._span(`json-${(value === null) ? 'null' : typeof value}`, JSON.stringify(value) ?? String(value));
+			return elm;
+		}
+
+		const details = document.createElement('details');
+		details.classList.add('json');
+		details.open = entry.json_open.has(path) || (open && !entry.json_open.has(`!${path}`));
+
+		const summary = document.createElement('summary');
+		summary.textContent = this._json_preview(value);
+		details.append(summary);
+
+		for(const key of Object.keys(value)){
+			const row = document.createElement('div');
+			row.append(this._span('json-key', Array.isArray(value) ? key : `${key}:`), ' ', this._json_viewer(value[key], entry, `${path}.${key}`));
+			details.append(row);
+		}
+
+		details.addEventListener('toggle', () => {
+			entry.json_open.delete(details.open ? `!${path}` : path);
+			entry.json_open.add(details.open ? path : `!${path}`);
+
+			// Height has changed, so measure it again
+			this._schedule_render();
+		});
+		return details;
 	}
 
-	_scroll_to_bottom(){
-		// Scroll to bottom
-		this.opts.container.scrollTop = this.opts.container.scrollHeight;
+	// Byte count and the first few bytes, opening into a hex dump
+	_hex_viewer(bytes, entry, path, open = false){
+		const details = document.createElement('details');
+		details.classList.add('bytes');
+		details.open = entry.json_open.has(path) || (open && !entry.json_open.has(`!${path}`));
+
+		const summary = document.createElement('summary');
+		const preview = this._hex(bytes.slice(0, this.opts.bytes_preview));
+		summary.append(
+			this._span('badge', `${bytes.length} B`), ' ',
+			this._span('hex', (bytes.length > this.opts.bytes_preview) ? `${preview} …` : preview)
+		);
+		details.append(summary);
+
+		// Offset, hex and ASCII columns, drawn once opened
+		const dump = document.createElement('pre');
+		dump.classList.add('hex-dump');
+		if(details.open){
+			dump.textContent = this._hex_dump(bytes);
+		}
+		details.append(dump);
+
+		details.addEventListener('toggle', () => {
+			entry.json_open.delete(details.open ? `!${path}` : path);
+			entry.json_open.add(details.open ? path : `!${path}`);
+			if(details.open && !dump.textContent){
+				dump.textContent = this._hex_dump(bytes);
+			}
+			this._schedule_render();
+		});
+		return details;
+	}
+
+	_hex_dump(bytes){
+		const per_row = this.opts.bytes_per_row;
+		const offset_width = Math.max(4, (bytes.length - 1).toString(16).length);
+		const lines = [];
+		for(let offset = 0; offset < bytes.length; offset += per_row){
+			const row = bytes.slice(offset, offset + per_row);
+			const ascii = row.map(b => ((b >= 0x20) && (b < 0x7F)) ? String.fromCharCode(b) : '.').join('');
+			lines.push(`${offset.toString(16).toUpperCase().padStart(offset_width, '0')}  ${this._hex(row).padEnd(per_row * 3 - 1)}  ${ascii}`);
+		}
+		return lines.join('\n');
+	}
+
+	_hex(bytes){
+		return bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+	}
+
+	// Byte arrays become bytes segments, with the bytes as a plain array so they can be saved and exported as JSON
+	_bytes_msg(msg){
+		if(Array.isArray(msg)){
+			return msg.map(segment => {
+				if(this._is_bytes(segment)){
+					return {bytes: this._byte_array(segment)};
+				}
+				if(segment && this._is_bytes(segment.bytes)){
+					return {...segment, bytes: this._byte_array(segment.bytes)};
+				}
+				// Anything else, e.g. from an edited export, is shown as text rather than in a hex viewer
+				if(segment && (segment.bytes !== undefined) && !this._is_byte_list(segment.bytes)){
+					const {bytes, ...rest} = segment;
+					return {...rest, text: this._bytes_text(bytes)};
+				}
+				return segment;
+			});
+		}
+		return this._is_bytes(msg) ? [{bytes: this._byte_array(msg)}] : msg;
+	}
+
+	_is_bytes(value){
+		return (value instanceof ArrayBuffer) || ArrayBuffer.isView(value);
+	}
+
+	// A plain array of bytes, as made by _byte_array
+	_is_byte_list(value){
+		return Array.isArray(value) && value.every(b => Number.isInteger(b) && (b >= 0) && (b <= 255));
+	}
+
+	_bytes_text(value){
+		if(this._is_byte_list(value)){
+			return this._hex(value);
+		}
+		return (typeof value == 'string') ? value : (JSON.stringify(value) ?? String(value));
+	}
+
+	_byte_array(value){
+		if(value instanceof ArrayBuffer){
+			return Array.from(new Uint8Array(value));
+		}
+		return Array.from(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+	}
+
+	// Raw bytes of every byte array in a message, for exports
+	_raw_bytes(msg){
+		if(!Array.isArray(msg)){
+			return '';
+		}
+		return msg.filter(segment => segment && this._is_byte_list(segment.bytes)).map(segment => segment.bytes.join(' ')).join(' | ');
+	}
+
+	// Short one line version of an object, for when it is closed
+	_json_preview(value){
+		const text = JSON.stringify(value) ?? '';
+		return (text.length > 80) ? `${text.slice(0, 77)}...` : text;
+	}
+
+	// Plain text of a message, for searching and exports
+	_plain(msg, html = false){
+		if(Array.isArray(msg)){
+			return msg.map(segment => {
+				if((typeof segment != 'object') || (segment === null)) return String(segment);
+				if(segment.html !== undefined) return this._text(segment.html);
+				if(segment.json !== undefined) return JSON.stringify(segment.json);
+				if(segment.bytes !== undefined) return this._bytes_text(segment.bytes);
+				return String(segment.code ?? segment.badge ?? segment.text ?? segment.link ?? '');
+			}).join('');
+		}
+		return html ? this._text(msg) : String(msg);
+	}
+
+	// Plain text of some HTML
+	// Parsed in a separate document, so nothing in it (e.g. <img onerror>) runs or loads
+	_text(html){
+		return new DOMParser().parseFromString(String(html), 'text/html').body.textContent;
+	}
+
+	// Entries from files, saved sessions and other devices could have come from anywhere,
+	// so any HTML in them is shown as its text
+	_safe_msg(msg, html = false){
+		if(Array.isArray(msg)){
+			return msg.map(segment => {
+				if((typeof segment != 'object') || (segment === null) || (segment.html === undefined)){
+					return segment;
+				}
+				const {html, ...rest} = segment;
+				return {...rest, text: this._text(html)};
+			});
+		}
+		return html ? this._text(msg) : msg;
+	}
+
+	// /////////////////////////////////////////////////
+	// Saved sessions
+
+	// Show a saved session in the log, and add new entries to it
+	async open_session(id){
+		await this._store_ready;
+		if(!this.store){
+			this._warn(`No LogStore to open log session ${id} from`);
+			return false;
+		}
+		return this._load_session(id);
+	}
+
+	async _load_session(id){
+		await this.store.flush();
+		const session = await this.store.session(id);
+		if(!session){
+			this._warn(`No saved log session: ${id}`);
+			return false;
+		}
+		const records = await this.store.entries(id);
+
+		// Entries are already saved, so don't save them again as they go back in
+		this._loading = true;
+		this.clear();
+		this.start_time = session.start_time;
+		this.opts.container.dataset.start_time = this.start_time;
+		const groups = [];
+		for(const record of records){
+			const entry = this.log_record(record, groups);
+			entry.id = record.id;
+			this._next_id = Math.max(this._next_id, record.id + 1);
+		}
+		this._loading = false;
+
+		this.session_id = id;
+		return true;
+	}
+
+	// Start saving to a new session, with a fresh log
+	new_session(name){
+		this.clear();
+		this.start_time = Date.now();
+		this.opts.container.dataset.start_time = this.start_time;
+		return this._new_store_session(name);
+	}
+
+	async _start_store(){
+		if(this.opts.resume){
+			const [last] = await this.store.sessions();
+			if(last){
+				// Keep anything logged while the session was loading, after the saved entries
+				const early = this.entries;
+				await this._load_session(last.id);
+				for(const entry of early){
+					entry.id = this._next_id++;
+					this.entries.push(entry);
+				}
+				this._visible_dirty = true;
+				this._schedule_render();
+				return;
+			}
+		}
+		this.session_id = await this.store.start_session(this.opts.session ?? new Date(this.start_time).toLocaleString(), this.start_time);
+	}
+
+	// Entries logged from now on wait for the new session before saving
+	// Resolves to the new session's id, or null if there's no store to save it to
+	_new_store_session(name){
+		if(!this.store){
+			this._warn("No LogStore, so the new log session won't be saved");
+			return Promise.resolve(null);
+		}
+		const started = this._store_ready
+			.then(() => this.store?.start_session(name ?? new Date(this.start_time).toLocaleString(), this.start_time) ?? null)
+			.then(id => this.session_id = id ?? this.session_id);
+
+		// If it fails, carry on saving to the session before rather than failing every save after
+		this._store_ready = started.catch(e => this._warn(`Could not start a new log session: ${e.message}`));
+		return started;
+	}
+
+	_persist(entry){
+		if(this._loading){
+			return;
+		}
+		// Sinks attached to this log listen for records
+		if(this._listeners.record?.length){
+			this._emit('record', {id: entry.id, ...this._entry_json(entry)});
+		}
+		if(!this.store){
+			return;
+		}
+
+		// The store is dropped if it fails to start, which may happen while this waits
+		this._store_ready
+			.then(() => this.store?.put(this.session_id, {id: entry.id, ...this._entry_json(entry)}))
+			.catch(e => this._warn(`Could not save log entry: ${e.message}`));
 	}
 
 	// /////////////////////////////////////////////////
 	// Log downloading 
-	download_log(opts = {}){
+
+	// Returns the log as a string, in csv, txt, json or ndjson format
+	export_log(opts = {}){
 
 		// Opts can be
 		opts = {...{
 			type: 'csv',
 			include_hidden: true,
 			include_meta: true,
-			filename_prefix: 'log_'
+			expand: false			// A row for every repeat, and the entries in collapsed groups
 		}, ...opts};
 
-		let data = [];
-
-		// Assemble rows to download
-		const p_rows = this.opts.container.querySelectorAll("p");
-		for(let row of p_rows){
-			const this_row = []
-
-			if((row.offsetHeight <= 0) && !opts.include_hidden){
-				// Skip row if hidden and we don't want to include hidden rows
-				continue
-			}
-
-			let msg = row.querySelector('.msg').textContent
-			if(opts.type == 'csv') msg = `"${msg.replaceAll('"', '""')}"`
-
-			// Add base data
-			this_row.push(
-				row.querySelector(".time").textContent,
-				row.querySelector(".char").textContent,
-				msg
-			)
-
-			// Include meta data
-			if(opts.include_meta){
-				this_row.push(
-					Array.from(row.classList).join(', '),
-					row.querySelector(".time").title,
-					row.dataset.timestamp,
-					row.dataset.time_diff
-				)
-
-				// Save dataset items too if we have them
-				for(let dataset_item in Object.assign({}, row.dataset)){
-					if((dataset_item == 'timestamp') || (dataset_item == 'time_diff')){
-						continue
+		// Assemble rows to export
+		const entries = this.entries.filter(entry => opts.include_hidden || this._passes(entry, !opts.expand));
+
+		// Each repeat on its own, or once with its count
+		const rows = entries.flatMap(entry => opts.expand
+			? [entry.precise, ...entry.repeat_times].map(time => ({entry: entry, time: time, single: true}))
+			: [{entry: entry, time: entry.precise, single: false}]);
+
+		switch(opts.type){
+			case 'json':
+				// Every field, with the start time so incremental times come out the same when loaded back in
+				return JSON.stringify({
+					version: 1,
+					start_time: this.start_time,
+					entries: rows.map(row => this._entry_json(row.entry, row.single ? row.time : null))
+				});
+
+			case 'ndjson':
+				return rows.map(row => `${JSON.stringify(this._entry_json(row.entry, row.single ? row.time : null))}\n`).join('');
+
+			case 'csv':
+			case 'txt':
+				const data = rows.map(({entry, time, single}) => {
+					const count = single ? 1 : entry.count;
+					const date = new Date(time);
+
+					// Add base data
+					const this_row = [
+						this._time_string(time),
+						entry.char,
+						this._entry_text(entry)
+					];
+					const raw = this._raw_bytes(entry.msg);
+					if(opts.type == 'txt'){
+						this_row[2] = `${'  '.repeat(entry.depth)}${this_row[2]}`;
+						if(raw) this_row.push(`[${raw}]`);
+						if(count > 1) this_row.push(`×${count} (to ${this._time_string(this._last_precise(entry))})`);
+						if(entry.note) this_row.push(`📝 ${entry.note}`);
 					}
-					this_row.push(`${dataset_item}: ${row.dataset[dataset_item]}`)
-				}	
-			}
 
-			// Save to array of rows
-			data.push(this_row)
+					// Include meta data
+					if(opts.include_meta){
+						this_row.push(
+							[...entry.classes].join(', '),
+							date.toTimeString(),
+							date.getTime(),
+							date.getTime() - this.start_time,
+							Object.entries(entry.data).map(([key, value]) => `${key}: ${value}`).join('; '),
+							this._group_path(entry)
+						);
+					}
+
+					// Newer columns go after these, so the columns before them stay where they always were
+					if(opts.type == 'csv'){
+						this_row.push(entry.note ?? '', count, (count > 1) ? this._time_string(this._last_precise(entry)) : '', raw);
+					}
+					return this_row;
+				});
+
+				if(opts.type == 'txt'){
+					return data.map(row => `${row.join(' ')}\n`).join('');
+				}
+
+				// RFC 4180: quote any field with a comma, quote or line break, and end lines with CRLF
+				const header = ['Time', 'Type', 'Message'];
+				if(opts.include_meta){
+					header.push('Class', 'Datetime', 'Timestamp', 'Time diff', 'Message data', 'Group');
+				}
+				header.push('Note', 'Count', 'Last time', 'Bytes');
+				return [header, ...data].map(row => `${row.map(field => this._csv_field(field)).join(',')}\r\n`).join('');
+
+			default:
+				this._warn(`Export type not recognised: ${opts.type}`);
+				return null;
 		}
+	}
 
-		// Create CSV
-		let filedata = ''
-		if(opts.type == 'csv'){
-			filedata += 'Time,Type,Message'
-			if(opts.include_hidden){
-				filedata += ',Class,Datetime,Timestamp,Time diff,Message data'
-			}
-			filedata += '\n'
-			data.forEach(row => filedata += `${row.join(',')}\n`)
+	download_log(opts = {}){
 
-		}else if(opts.type == 'txt'){
-			data.forEach(row => filedata += `${row.join(' ')}\n`)
-		}else{
+		// Opts can be
+		opts = {...{
+			type: 'csv',
+			filename_prefix: 'log_'
+		}, ...opts};
+
+		const filedata = this.export_log(opts);
+		if(filedata === null){
 			// Log error to self here!
 			this.log(`Download type not recognised: ${opts.type}`, {class: 'error'})
 			return
 		}
 
-		// Fix for # symbol breaking CSV files
-		filedata = encodeURI(filedata)
-		filedata = filedata.replaceAll('#', '%23')
+		const mime_types = {
+			csv: 'text/csv',
+			txt: 'text/plain',
+			json: 'application/json',
+			ndjson: 'application/x-ndjson'
+		};
 
 		// Create filename and link data
 		const filename = `${opts.filename_prefix}${Math.round(Date.now()/1000)}`
-		const filename_with_suffix = `${filename}.${opts.type == 'csv' ? 'csv' : 'txt'}`
-		const href = `data:text/${opts.type == 'csv' ? 'csv' : 'plain'};charset=utf-8,${filedata}`
+		const filename_with_suffix = `${filename}.${opts.type}`
+		const href = URL.createObjectURL(new Blob([filedata], {type: `${mime_types[opts.type]};charset=utf-8`}))
 
 		// Generate log entry with the link embedded in it
-		this.log(`📥 Downloading log: <a class="${filename}" href="${href}" target="_blank" download="${filename_with_suffix}">${filename_with_suffix}</a>`)
+		this.log(['📥 Downloading log: ', {link: href, text: filename_with_suffix, download: filename_with_suffix}])
 
 		// Then trigger the download with a click
-		document.querySelector(`.${filename}`).click()
+		// The entry isn't drawn until the next frame, so use a link of its own
+		const link = document.createElement('a')
+		link.href = href
+		link.download = filename_with_suffix
+		link.click()
+	}
+
+	// /////////////////////////////////////////////////
+	// Log importing
+
+	// Load a log exported as json or ndjson, keeping the original timestamps
+	// Pass replay: true to add the entries with their original timing, speed to play faster
+	// Returns a Promise which resolves with the number of entries loaded
+	import_log(data, opts = {}){
+
+		opts = {...{
+			clear: true,			// Replace the current entries, and use the log's start time
+			replay: false,
+			speed: 1
+		}, ...opts};
+
+		let records;
+		let start_time = null;
+		try{
+			const text = String(data).trim();
+			if(text.startsWith('{') && !text.includes('\n{')){
+				const json = JSON.parse(text);
+				records = json.entries ?? [json];
+				start_time = json.start_time ?? null;
+			}else{
+				records = text.split(/\r?\n/).filter(line => line.trim().length).map(line => JSON.parse(line));
+			}
+		}catch(e){
+			this.log(`Could not load log: ${e.message}`, {class: 'error'});
+			return Promise.resolve(0);
+		}
+		if(records.length == 0){
+			return Promise.resolve(0);
+		}
+
+		if(opts.clear){
+			this.clear();
+			this.start_time = start_time ?? (records[0].timestamp - (records[0].time_diff ?? 0));
+			this.opts.container.dataset.start_time = this.start_time;
+
+			// Imported entries get a saved session of their own
+			if(this.store){
+				this._new_store_session(opts.session ?? 'Imported log');
+			}
+		}
+
+		const groups = [];
+		if(!opts.replay){
+			for(const record of records){
+				this.log_record(record, groups);
+			}
+			return Promise.resolve(records.length);
+		}
+
+		// Add each entry after the same gap as when it was first logged
+		return new Promise(resolve => {
+			let index = 0;
+			const step = () => {
+				this.log_record(records[index], groups);
+				index++;
+				if(index >= records.length){
+					resolve(records.length);
+					return;
+				}
+				const gap = (records[index].timestamp - records[index-1].timestamp) / opts.speed;
+				setTimeout(step, Math.max(0, gap));
+			};
+			step();
+		});
+	}
+
+	// Load a log from a File, e.g. from an <input type="file">
+	async load_file(file, opts = {}){
+		return this.import_log(await file.text(), opts);
+	}
+
+	// Let the user pick a file to load
+	_pick_file(){
+		const input = document.createElement('input');
+		input.type = 'file';
+		input.accept = '.json,.ndjson,application/json,application/x-ndjson';
+		input.addEventListener('change', () => {
+			if(input.files.length){
+				this.load_file(input.files[0]);
+			}
+		});
+		input.click();
+	}
+
+	// Log an entry record from an export, a saved session or another device, with any HTML in it shown as text
+	// Groups are the group headers loaded so far, kept apart from any groups open in the live log
+	log_record(record, groups = []){
+		// Put the entry back in the same group, which has been loaded before it
+		groups.length = Math.min(groups.length, record.depth ?? 0);
+		const open = this._groups;
+		this._groups = groups;
+		this._record_precise = record.precise ?? record.timestamp;
+
+		const entry = this.log(this._safe_msg(record.msg, record.html), {
+			time: new Date(record.timestamp),
+			char: record.char,
+			colour: record.colour,
+			hover: record.hover,
+			class: record.classes,
+			data: record.data,
+			level: record.level,
+			stack: record.stack,
+			html: false,
+			marker: record.marker,
+			note: record.note,
+			count: record.count,
+			last_time: record.repeat_times?.length ? new Date(record.repeat_times[record.repeat_times.length-1]) : undefined,
+			repeat_times: record.repeat_times,
+			group_header: record.group_header,
+			collapsed: record.collapsed,
+			collapse: false,
+			rate_limit: false
+		});
+		this._groups = open;
+		if(entry.group_header){
+			groups.push(entry);
+		}
+		return entry;
+	}
+
+	// Apply a record sent again for an entry already logged, e.g. when it repeats or gets a note
+	update_record(entry, record){
+		const repeated = (record.count ?? 1) > entry.count;
+
+		this._count_classes(entry, -1);
+		entry.classes = new Set([].concat(record.classes ?? []));
+		this._count_classes(entry, 1);
+		entry.msg = this._bytes_msg(this._safe_msg(record.msg, record.html));
+		entry.html = false;
+		entry.note = record.note ?? null;
+		entry.collapsed = !!record.collapsed;
+		entry.count = record.count ?? 1;
+
+		// Only the newest repeat time is new here
+		const latest = record.repeat_times?.[record.repeat_times.length-1];
+		if(repeated && (latest !== undefined)){
+			entry.repeat_times.push(latest);
+			if(entry.repeat_times.length > this.opts.max_repeat_times){
+				entry.repeat_times.shift();
+			}
+			entry.last_time = new Date(latest);
+		}
+
+		this._changed(entry);
+		if(repeated){
+			this._emit('repeat', entry);
+		}
+	}
+
+	// Every field of an entry, for json exports
+	// Pass a precise time to export just that repeat of it
+	_entry_json(entry, precise = null){
+		const single = precise !== null;
+		precise = precise ?? entry.precise;
+		const time = new Date(precise);
+		return {
+			timestamp: time.getTime(),
+			precise: precise,
+			time_diff: time.getTime() - this.start_time,
+			datetime: time.toISOString(),
+			char: entry.char,
+			msg: entry.msg,
+			html: entry.html,
+			text: this._entry_text(entry),
+			colour: entry.colour,
+			hover: entry.hover,
+			classes: [...entry.classes],
+			data: {...entry.data},
+			level: entry.level,
+			stack: entry.stack,
+			marker: entry.marker,
+			note: entry.note,
+			count: single ? 1 : entry.count,
+			repeat_times: single ? [] : [...entry.repeat_times],
+			depth: entry.depth,
+			group_header: entry.group_header,
+			collapsed: entry.collapsed
+		};
+	}
+
+	// Labels of the groups an entry is in, for csv and txt exports
+	_group_path(entry){
+		const path = [];
+		for(let group = entry.group; group; group = group.group){
+			path.unshift(this._entry_text(group));
+		}
+		return path.join(' / ');
+	}
+
+	_csv_field(value){
+		const text = String(value ?? '');
+		return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
 	}
 }
@@ -0,0 +1,208 @@
+//  ***********************************************
+//  ***********************************************
+//  Log relay
+//
+//  Author: George Cave @ Interaction Magic
+//  Date: October 2026
+//
+//  ***********************************************
+//
+//  Small local server for developing with LogSink and LogViewer. Needs Node.js, and nothing else.
+//  Devices send their logs in, and every viewer gets them, including what was sent before it connected.
+//
+//    node tools/log-relay.js [port]     (default port 8080, or set PORT)
+//
+//  Devices:  new LogSink({url: 'ws://<this machine>:8080'})        WebSocket
+//            new LogSink({url: 'http://<this machine>:8080/log'})  HTTP POST
+//  Viewers:  new LogViewer({url: 'ws://localhost:8080/view'})
+//
+//  ***********************************************
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8080);
+const HISTORY = 1000;				// Messages kept for viewers who connect later
+
+const viewers = new Set();
+const history = [];
+
+// Pass a message from a device on to every viewer
+function relay(text){
+	history.push(text);
+	if(history.length > HISTORY){
+		history.shift();
+	}
+	for(const viewer of viewers){
+		send(viewer, text);
+	}
+}
+
+// /////////////////////////////////////////////////////////////////
+// HTTP
+
+const server = http.createServer((req, res) => {
+	// Allow pages on any origin to post logs here
+	res.setHeader('Access-Control-Allow-Origin', '*');
+	res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+	if(req.method == 'OPTIONS'){
+		res.writeHead(204).end();
+		return;
+	}
+	if(req.method != 'POST'){
+		res.writeHead(200, {'Content-Type': 'text/plain'}).end(`Log relay: ${viewers.size} viewer(s), ${history.length} message(s) kept\n`);
+		return;
+	}
+
+	let body = '';
+	req.setEncoding('utf8');
+	req.on('data', chunk => body += chunk);
+	req.on('end', () => {
+		try{
+			JSON.parse(body);
+		}catch(e){
+			res.writeHead(400).end();
+			return;
+		}
+		relay(body);
+		res.writeHead(204).end();
+	});
+});
+
+// /////////////////////////////////////////////////////////////////
+// WebSocket, just enough of RFC 6455 for text messages
+
+server.on('upgrade', (req, socket) => {
+	const key = req.headers['sec-websocket-key'];
+	if(!key){
+		socket.destroy();
+		return;
+	}
+	const accept = crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+	socket.write([
+		'HTTP/1.1 101 Switching Protocols',
+		'Upgrade: websocket',
+		'Connection: Upgrade',
+		`Sec-WebSocket-Accept: ${accept}`,
+		'', ''
+	].join('\r\n'));
+
+	const is_viewer = req.url.startsWith('/view');
+	const name = `${is_viewer ? 'Viewer' : 'Device'} ${req.socket.remoteAddress}`;
+	console.log(`${name} connected`);
+
+	if(is_viewer){
+		viewers.add(socket);
+		for(const text of history){
+			send(socket, text);
+		}
+	}
+
+	let buffer = Buffer.alloc(0);
+	let fragments = [];
+	socket.on('data', data => {
+		buffer = Buffer.concat([buffer, data]);
+		let frame;
+		while((frame = read_frame(buffer)) !== null){
+			buffer = buffer.subarray(frame.length);
+			switch(frame.opcode){
+				case 0x0:		// Continuation
+				case 0x1:		// Text
+					fragments.push(frame.payload);
+					if(frame.fin){
+						const text = Buffer.concat(fragments).toString('utf8');
+						fragments = [];
+						if(!is_viewer){
+							relay(text);
+						}
+					}
+					break;
+				case 0x8:		// Close
+					socket.end(encode_frame(0x8, frame.payload.subarray(0, 2)));
+					break;
+				case 0x9:		// Ping
+					socket.write(encode_frame(0xA, frame.payload));
+					break;
+			}
+		}
+	});
+
+	const closed = () => {
+		if(viewers.delete(socket) || !is_viewer){
+			console.log(`${name} disconnected`);
+		}
+	};
+	socket.on('close', closed);
+	socket.on('error', () => socket.destroy());
+});
+
+// Returns {fin, opcode, payload, length}, or null if the whole frame hasn't arrived yet
+function read_frame(buffer){
+	if(buffer.length < 2){
+		return null;
+	}
+	const fin = (buffer[0] & 0x80) != 0;
+	const opcode = buffer[0] & 0x0F;
+	const masked = (buffer[1] & 0x80) != 0;
+	let length = buffer[1] & 0x7F;
+	let offset = 2;
+
+	if(length == 126){
+		if(buffer.length < 4) return null;
+		length = buffer.readUInt16BE(2);
+		offset = 4;
+	}else if(length == 127){
+		if(buffer.length < 10) return null;
+		length = Number(buffer.readBigUInt64BE(2));
+		offset = 10;
+	}
+
+	const mask_offset = offset;
+	if(masked){
+		offset += 4;
+	}
+	if(buffer.length < offset + length){
+		return null;
+	}
+
+	// Messages from browsers are always masked
+	const payload = Buffer.from(buffer.subarray(offset, offset + length));
+	if(masked){
+		for(let i = 0; i < payload.length; i++){
+			payload[i] ^= buffer[mask_offset + (i % 4)];
+		}
+	}
+	return {fin: fin, opcode: opcode, payload: payload, length: offset + length};
+}
+
+function encode_frame(opcode, payload){
+	let header;
+	if(payload.length < 126){
+		header = Buffer.from([0x80 | opcode, payload.length]);
+	}else if(payload.length < 65536){
+		header = Buffer.alloc(4);
+		header[0] = 0x80 | opcode;
+		header[1] = 126;
+		header.writeUInt16BE(payload.length, 2);
+	}else{
+		header = Buffer.alloc(10);
+		header[0] = 0x80 | opcode;
+		header[1] = 127;
+		header.writeBigUInt64BE(BigInt(payload.length), 2);
+	}
+	return Buffer.concat([header, payload]);
+}
+
+function send(socket, text){
+	if(!socket.destroyed){
+		socket.write(encode_frame(0x1, Buffer.from(text, 'utf8')));
+	}
+}
+
+server.listen(PORT, () => {
+	console.log(`Log relay listening on port ${PORT}`);
+	console.log(`  Devices: ws://localhost:${PORT} or POST http://localhost:${PORT}/log`);
+	console.log(`  Viewers: ws://localhost:${PORT}/view`);
+});